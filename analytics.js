@@ -0,0 +1,161 @@
+// analytics.js
+
+// Reports on how past days went, built from committed plans (what was planned) and work sessions (what was done)
+
+const ANALYTICS_PRIORITIES = ['HIGH', 'MEDIUM', 'LOW'];
+
+// Time logged on tasks that have since been deleted is reported under this label
+const ANALYTICS_DELETED_TASK = 'Deleted task';
+
+// Builds a report for every day from startDate to endDate (inclusive):
+// {
+//   days: [{ dateKey, plannedMinutes, workedMinutes, revisionPlannedMinutes, revisionUsedMinutes }],
+//   minutesByType: { TYPE: minutes }, minutesByPriority: { PRIORITY: minutes },
+//   completions: [{ taskId, name, completedAt, deadline, isLate }], onTimeCount, lateCount,
+//   currentStreakDays, longestStreakDays,
+//   totals: { plannedMinutes, workedMinutes, revisionPlannedMinutes, revisionUsedMinutes }
+// }
+// Only days with a committed plan have planned minutes.
+function buildAnalyticsReport(scheduler, startDate, endDate) {
+    const firstDay = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+    const lastDay = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+    const rangeStartMillis = firstDay.getTime();
+    const rangeEndMillis = lastDay.getTime() + MILLIS_IN_DAY;
+
+    // Work sessions count toward the day they started on
+    const sessionsInRange = scheduler.workSessions.filter(session =>
+        session.startMillis >= rangeStartMillis && session.startMillis < rangeEndMillis);
+    const workedByDay = {};
+    sessionsInRange.forEach(session => {
+        const dateKey = formatDateKey(new Date(session.startMillis));
+        workedByDay[dateKey] = (workedByDay[dateKey] || 0) + session.getDurationMinutes();
+    });
+
+    const minutesOf = activity => Math.round((activity.endMillis - activity.startMillis) / MILLIS_IN_MINUTE);
+    const days = [];
+    for (let day = new Date(firstDay); day <= lastDay; day.setDate(day.getDate() + 1)) {
+        const dateKey = formatDateKey(day);
+        const plan = scheduler.committedPlans[dateKey] || [];
+        const revisions = plan.filter(activity => activity.type === 'REVISION');
+        // A planned review counts as used once it was rated that day
+        const usedRevisions = revisions.filter(activity => {
+            const item = scheduler.reviewItems.find(i => i.id === activity.reviewItemId);
+            return item && item.history.some(entry => entry.date === dateKey);
+        });
+        days.push({
+            dateKey,
+            plannedMinutes: plan.filter(activity => activity.type === 'TASK').reduce((total, activity) => total + minutesOf(activity), 0),
+            workedMinutes: workedByDay[dateKey] || 0,
+            revisionPlannedMinutes: revisions.reduce((total, activity) => total + minutesOf(activity), 0),
+            revisionUsedMinutes: usedRevisions.reduce((total, activity) => total + minutesOf(activity), 0)
+        });
+    }
+
+    const minutesByType = {};
+    TASK_TYPES.forEach(type => { minutesByType[type] = 0; });
+    const minutesByPriority = {};
+    ANALYTICS_PRIORITIES.forEach(priority => { minutesByPriority[priority] = 0; });
+    sessionsInRange.forEach(session => {
+        const task = scheduler.tasks.find(t => t.id === session.taskId);
+        const type = task ? task.type : ANALYTICS_DELETED_TASK;
+        const priority = task ? task.priority : ANALYTICS_DELETED_TASK;
+        minutesByType[type] = (minutesByType[type] || 0) + session.getDurationMinutes();
+        minutesByPriority[priority] = (minutesByPriority[priority] || 0) + session.getDurationMinutes();
+    });
+
+    const completions = scheduler.tasks
+        .filter(task => task.isCompleted)
+        .map(task => ({ task, completedAt: getTaskCompletionDate(scheduler, task) }))
+        .filter(({ completedAt }) => completedAt && completedAt.getTime() >= rangeStartMillis && completedAt.getTime() < rangeEndMillis)
+        .map(({ task, completedAt }) => ({
+            taskId: task.id,
+            name: task.name,
+            completedAt,
+            deadline: task.deadline,
+            isLate: completedAt > task.deadline
+        }));
+
+    const { currentStreakDays, longestStreakDays } = getWorkStreaks(days);
+    const sum = key => days.reduce((total, day) => total + day[key], 0);
+
+    return {
+        startDate: firstDay,
+        endDate: lastDay,
+        days,
+        minutesByType,
+        minutesByPriority,
+        completions,
+        onTimeCount: completions.filter(completion => !completion.isLate).length,
+        lateCount: completions.filter(completion => completion.isLate).length,
+        currentStreakDays,
+        longestStreakDays,
+        totals: {
+            plannedMinutes: sum('plannedMinutes'),
+            workedMinutes: sum('workedMinutes'),
+            revisionPlannedMinutes: sum('revisionPlannedMinutes'),
+            revisionUsedMinutes: sum('revisionUsedMinutes')
+        }
+    };
+}
+
+// Tasks completed before completion dates were recorded fall back to the end of their last work session
+function getTaskCompletionDate(scheduler, task) {
+    if (task.completedAt) {
+        return task.completedAt;
+    }
+    const lastSession = scheduler.getSessionsForTask(task.id)[0];
+    return lastSession ? new Date(lastSession.endMillis) : null;
+}
+
+// A streak is a run of consecutive days with some work logged. The current streak ends on the last
+// day of the report, or the day before if nothing has been logged on the last day yet.
+function getWorkStreaks(days) {
+    let longestStreakDays = 0;
+    let runDays = 0;
+    days.forEach(day => {
+        runDays = day.workedMinutes > 0 ? runDays + 1 : 0;
+        longestStreakDays = Math.max(longestStreakDays, runDays);
+    });
+
+    let currentStreakDays = 0;
+    let index = days.length - 1;
+    if (index >= 0 && days[index].workedMinutes === 0) {
+        index--;
+    }
+    while (index >= 0 && days[index].workedMinutes > 0) {
+        currentStreakDays++;
+        index--;
+    }
+    return { currentStreakDays, longestStreakDays };
+}
+
+// --- CSV Export ---
+
+// One table per section, separated by a blank line
+function analyticsReportToCSV(report) {
+    const rows = [
+        ['Date', 'Planned task minutes', 'Worked minutes', 'Planned review minutes', 'Used review minutes'],
+        ...report.days.map(day => [day.dateKey, day.plannedMinutes, day.workedMinutes, day.revisionPlannedMinutes, day.revisionUsedMinutes]),
+        ['Total', report.totals.plannedMinutes, report.totals.workedMinutes, report.totals.revisionPlannedMinutes, report.totals.revisionUsedMinutes],
+        [],
+        ['Task type', 'Worked minutes'],
+        ...Object.entries(report.minutesByType),
+        [],
+        ['Priority', 'Worked minutes'],
+        ...Object.entries(report.minutesByPriority),
+        [],
+        ['Completed task', 'Completed at', 'Deadline', 'On time'],
+        ...report.completions.map(completion => [
+            completion.name, completion.completedAt.toISOString(), completion.deadline.toISOString(), completion.isLate ? 'no' : 'yes'
+        ]),
+        [],
+        ['Current streak (days)', report.currentStreakDays],
+        ['Longest streak (days)', report.longestStreakDays]
+    ];
+    return rows.map(row => row.map(escapeCSVValue).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeCSVValue(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
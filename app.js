@@ -1,25 +1,104 @@
 // app.js
 
-const scheduler = new Scheduler();
+// Each profile keeps its own data; the scheduler works on the active one (see switchProfile)
+let activeProfileId = loadActiveProfileId(localStorage);
+const scheduler = new Scheduler({ storage: createProfileStorage(localStorage, activeProfileId) });
+
+// Other profiles shown in the shared free time view
+const sharedProfileIds = new Set();
 
 // Timer state
 let timerInterval = null;
 let currentTaskId = null;
-let timerStartTime = null;
 
-document.addEventListener('DOMContentLoaded', () => {
-    // Check if the page is being reloaded with timer active
-    const savedTimer = JSON.parse(localStorage.getItem('activeTimer'));
-    if (savedTimer && savedTimer.taskId) {
-        currentTaskId = savedTimer.taskId;
-        timerStartTime = new Date(savedTimer.startTime);
-        startTimer(currentTaskId);
-    }
+// First day shown in the week plan
+let weekStartDate = new Date();
+
+// Monday of the week shown in the fixed block timetable
+let timetableWeekStart = getMondayOf(new Date());
+
+const TIMETABLE_PIXELS_PER_MINUTE = 0.8;
+
+// Tasks whose session history is expanded, so re-renders keep it open
+const openSessionHistories = new Set();
+
+// Tasks being edited in place, so re-renders keep their forms open
+const editingTaskIds = new Set();
+
+// Search, filters, sort order and selection of each task list, kept across re-renders
+const taskListViews = {
+    pending: { query: '', type: '', priority: '', deadlineFrom: '', deadlineTo: '', sortKey: null, sortDescending: false, selectedIds: new Set() },
+    all: { query: '', type: '', priority: '', status: '', deadlineFrom: '', deadlineTo: '', sortKey: null, sortDescending: false, selectedIds: new Set() }
+};
+
+const TASK_PRIORITY_RANK = { HIGH: 3, MEDIUM: 2, LOW: 1 };
+
+// Columns a task list can be sorted by. Unsorted lists keep the order tasks were added in.
+const TASK_SORT_COLUMNS = [
+    { key: 'name', label: 'Name', compare: (a, b) => a.name.localeCompare(b.name) },
+    { key: 'priority', label: 'Priority', compare: (a, b) => TASK_PRIORITY_RANK[b.priority] - TASK_PRIORITY_RANK[a.priority] },
+    { key: 'deadline', label: 'Deadline', compare: (a, b) => a.deadline - b.deadline },
+    { key: 'remaining', label: 'Remaining', compare: (a, b) => a.remainingMinutes - b.remainingMinutes },
+    { key: 'type', label: 'Type', compare: (a, b) => a.type.localeCompare(b.type) }
+];
+
+// Daily schedule timeline scale and the grid that dragged activities snap to
+const TIMELINE_PIXELS_PER_MINUTE = 1.2;
+const TIMELINE_SNAP_MINUTES = 5;
+
+// Activities currently shown in the daily schedule, by id, for the drag and pin handlers
+let displayedActivities = {};
+
+// How often planned work is checked for missed chunks and overruns while the page is open
+const MISSED_WORK_CHECK_MINUTES = 5;
+
+// Another tab's save arrives as one storage event per key; reload once after the last of them
+let pendingStorageReload = null;
+
+// Reminders are timed for this far ahead and re-timed whenever the plan changes
+const NOTIFICATION_WINDOW_HOURS = 24;
+let notificationTimeouts = [];
+
+// The service worker is handed the reminders for this far ahead, so they can still arrive once the tab is closed
+const SERVICE_WORKER_REMINDER_DAYS = 7;
+// How often browsers with periodic background sync should wake the service worker to show reminders
+const REMINDER_SYNC_MINUTES = 15;
 
+document.addEventListener('DOMContentLoaded', () => {
     scheduler.loadData();
+    if (scheduler.loadErrors.length > 0) {
+        alert("Some saved data could not be loaded:\n\n" + scheduler.loadErrors.join('\n'));
+    }
+    displaySettings();
+    displayProfiles();
     displayFixedBlocks();
+    setupTaskListControls('pending');
+    setupTaskListControls('all');
     displayPendingTasks();
-    displayDailySchedule(new Date());
+    displayReviewQueue();
+    refreshSchedules();
+    setInterval(displayCatchUpBanner, MISSED_WORK_CHECK_MINUTES * MILLIS_IN_MINUTE);
+    setInterval(scheduleNotifications, NOTIFICATION_WINDOW_HOURS / 2 * MILLIS_IN_HOUR);
+
+    // Pick up a timer left running by a reload, a closed tab or another open tab
+    syncTimerFromStorage();
+    window.addEventListener('storage', handleStorageChange);
+    IDLE_ACTIVITY_EVENTS.forEach(eventName => document.addEventListener(eventName, noteUserActivity, { passive: true }));
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            noteUserActivity();
+        }
+    });
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => {
+                registerReminderSync(registration);
+                return navigator.serviceWorker.ready;
+            })
+            .then(() => scheduleNotifications()) // The first load has no active worker to hand reminders to until now
+            .catch(err => console.error("Service worker registration failed:", err));
+    }
 
     // Update the date display
     document.getElementById('current-date').textContent = new Date().toLocaleDateString('en-US', {
@@ -31,7 +110,11 @@ document.addEventListener('DOMContentLoaded', () => {
     // Fixed Block Form Submission
     document.getElementById('fixed-block-form').addEventListener('submit', (e) => {
         e.preventDefault();
-        const day = document.getElementById('fb-day').value;
+        const repeat = document.getElementById('fb-repeat').value;
+        const date = document.getElementById('fb-date').value || null; // 'YYYY-MM-DD'
+        const until = document.getElementById('fb-until').value || null;
+        const interval = parseInt(document.getElementById('fb-interval').value) || 1;
+        const weekdays = Array.from(document.querySelectorAll('#fb-weekdays input:checked'), input => input.value);
         const description = document.getElementById('fb-description').value;
         const startTime = document.getElementById('fb-start-time').value;
         const endTime = document.getElementById('fb-end-time').value;
@@ -39,18 +122,61 @@ document.addEventListener('DOMContentLoaded', () => {
         const [startHour, startMinute] = startTime.split(':').map(Number);
         const [endHour, endMinute] = endTime.split(':').map(Number);
 
-        if (endHour * 60 + endMinute <= startHour * 60 + startMinute) {
-            alert("End time must be after start time for fixed blocks.");
+        // An end time earlier than the start runs overnight into the next day
+        if (endHour * 60 + endMinute === startHour * 60 + startMinute) {
+            alert("A block can't start and end at the same time.");
+            return;
+        }
+        if ((repeat === 'ONCE' || repeat === 'MONTHLY') && !date) {
+            alert("Please pick a date for this block.");
+            return;
+        }
+        if (repeat === 'WEEKLY' && weekdays.length === 0) {
+            alert("Please pick at least one weekday for a weekly block.");
+            return;
+        }
+        if (date && until && until < date) {
+            alert("The block cannot end before it starts.");
+            return;
+        }
+
+        let recurrence;
+        let dayOfWeek = null;
+        let validFrom = date;
+        let validUntil = until;
+        if (repeat === 'ONCE') {
+            recurrence = { freq: 'ONCE' };
+            validUntil = date;
+        } else if (repeat === 'DAILY') {
+            recurrence = { freq: 'DAILY', interval };
+            dayOfWeek = interval === 1 ? 'ALL_DAYS' : null;
+        } else if (repeat === 'WEEKLY') {
+            recurrence = { freq: 'WEEKLY', interval, byDay: weekdays };
+            dayOfWeek = weekdays.length === 1 && interval === 1 ? weekdays[0] : null;
+        } else {
+            recurrence = { freq: 'MONTHLY', interval, byMonthDay: parseDateKey(date).getDate() };
+        }
+        // Intervals count from the start date, so default it to today
+        if (!validFrom && interval > 1) {
+            validFrom = formatDateKey(new Date());
+        }
+
+        const newBlock = new FixedBlock(null, dayOfWeek, description, startHour, startMinute, endHour, endMinute,
+            recurrence, validFrom, validUntil);
+        if (!addFixedBlockChecked(newBlock)) {
             return;
         }
-        
-        const newBlock = new FixedBlock(null, day, description, startHour, startMinute, endHour, endMinute);
-        scheduler.addFixedBlock(newBlock);
         displayFixedBlocks();
-        displayDailySchedule(new Date());
+        displayPendingTasks();
+        refreshSchedules();
         e.target.reset();
+        updateFixedBlockFormFields();
     });
 
+    // Show only the fixed block fields that apply to the chosen repeat option
+    document.getElementById('fb-repeat').addEventListener('change', updateFixedBlockFormFields);
+    updateFixedBlockFormFields();
+
     // Task Form Submission
     document.getElementById('task-form').addEventListener('submit', (e) => {
         e.preventDefault();
@@ -70,13 +196,50 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
+        const prerequisiteIds = Array.from(document.getElementById('task-prerequisites').selectedOptions, option => option.value);
+
         const newTask = new Task(null, name, description, priority, deadline, estimatedTime, type);
+        newTask.prerequisiteIds = prerequisiteIds;
         scheduler.addTask(newTask);
         displayPendingTasks();
-        displayDailySchedule(new Date());
+        refreshSchedules();
         e.target.reset();
+        updateEstimateHint();
     });
     
+    // Quick add: one line of text becomes a task or a fixed block, previewed while typing
+    document.getElementById('quick-add-input').addEventListener('input', displayQuickAddPreview);
+    document.getElementById('quick-add-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const result = parseQuickAdd(document.getElementById('quick-add-input').value);
+        if (result.error) {
+            alert(result.error);
+            return;
+        }
+        if (result.task) {
+            scheduler.addTask(result.task);
+        } else if (addFixedBlockChecked(result.block)) {
+            displayFixedBlocks();
+        } else {
+            return;
+        }
+        displayPendingTasks();
+        refreshSchedules();
+        e.target.reset();
+        displayQuickAddPreview();
+    });
+
+    // Named topics for the review queue
+    document.getElementById('review-topic-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const topic = document.getElementById('review-topic').value.trim();
+        if (!topic) return;
+        scheduler.addReviewTopic(topic);
+        displayReviewQueue();
+        refreshSchedules();
+        e.target.reset();
+    });
+
     // View all tasks button
     document.getElementById('view-all-tasks-btn').addEventListener('click', () => {
         const section = document.getElementById('all-tasks-section');
@@ -93,15 +256,349 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Estimate accuracy hint while creating a task
+    document.getElementById('task-type').addEventListener('change', updateEstimateHint);
+    document.getElementById('task-estimated-time').addEventListener('input', updateEstimateHint);
+    updateEstimateHint();
+
+    // Settings Form Submission
+    document.getElementById('settings-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const readNumber = id => parseInt(document.getElementById(id).value);
+        const readOptionalHour = id => {
+            const value = document.getElementById(id).value;
+            return value === '' ? null : parseInt(value);
+        };
+
+        const dayStartHour = readNumber('settings-day-start');
+        const dayEndHour = readNumber('settings-day-end');
+        if (dayEndHour <= dayStartHour) {
+            alert("The day must end after it starts.");
+            return;
+        }
+
+        const weekdayWindows = {};
+        for (const day of WEEKDAYS) {
+            const enabled = document.getElementById(`settings-${day}-enabled`).checked;
+            const startHour = readOptionalHour(`settings-${day}-start`);
+            const endHour = readOptionalHour(`settings-${day}-end`);
+            if (enabled && (startHour ?? dayStartHour) >= (endHour ?? dayEndHour)) {
+                alert(`The working window for ${day} must end after it starts.`);
+                return;
+            }
+            // Only store weekdays that differ from the default window
+            if (!enabled || startHour !== null || endHour !== null) {
+                weekdayWindows[day] = { enabled, startHour, endHour };
+            }
+        }
+
+        const energyWindows = [];
+        for (const [level, id, label] of [['HIGH', 'settings-high-focus', 'high-focus'], ['LOW', 'settings-low-energy', 'low-energy']]) {
+            const ranges = parseHourRanges(document.getElementById(id).value);
+            if (!ranges) {
+                alert(`Write the ${label} hours as ranges like "9-12, 16-18".`);
+                return;
+            }
+            ranges.forEach(range => energyWindows.push({ level, ...range }));
+        }
+
+        const typePreferences = {};
+        for (const type of TASK_TYPES) {
+            const energy = document.getElementById(`settings-${type}-energy`).value || null;
+            const preferredStartHour = readOptionalHour(`settings-${type}-preferred-start`);
+            const preferredEndHour = readOptionalHour(`settings-${type}-preferred-end`);
+            const earliestHour = readOptionalHour(`settings-${type}-earliest`);
+            const latestHour = readOptionalHour(`settings-${type}-latest`);
+            if ((preferredStartHour === null) !== (preferredEndHour === null) ||
+                (preferredStartHour !== null && preferredStartHour >= preferredEndHour)) {
+                alert(`Preferred hours for ${type} need both a start and a later end.`);
+                return;
+            }
+            if (earliestHour !== null && latestHour !== null && earliestHour >= latestHour) {
+                alert(`The hours allowed for ${type} must end after they start.`);
+                return;
+            }
+            // Only store types that have a preference
+            if (energy || preferredStartHour !== null || earliestHour !== null || latestHour !== null) {
+                typePreferences[type] = { energy, preferredStartHour, preferredEndHour, earliestHour, latestHour };
+            }
+        }
+
+        const deadlineReminderText = document.getElementById('settings-deadline-reminders').value.trim();
+        const deadlineReminderHours = deadlineReminderText === '' ? [] : deadlineReminderText.split(',').map(value => Number(value.trim()));
+        if (deadlineReminderHours.some(hours => isNaN(hours) || hours <= 0)) {
+            alert("Write the deadline reminders as hours before the deadline, like \"24, 1\".");
+            return;
+        }
+        const quietHoursStart = readOptionalHour('settings-quiet-start');
+        const quietHoursEnd = readOptionalHour('settings-quiet-end');
+        if ((quietHoursStart === null) !== (quietHoursEnd === null)) {
+            alert("Quiet hours need both a start and an end.");
+            return;
+        }
+        const mutedNotificationKinds = Object.keys(NOTIFICATION_KINDS)
+            .filter(kind => !document.getElementById(`settings-notify-${kind}`).checked);
+
+        const minChunkMinutes = readNumber('settings-min-chunk');
+        const chunkMinutes = readNumber('settings-chunk');
+        if (minChunkMinutes > chunkMinutes) {
+            alert("The shortest session cannot be longer than the longest session.");
+            return;
+        }
+
+        scheduler.updateSettings({
+            dayStartHour,
+            dayEndHour,
+            weekdayWindows,
+            chunkMinutes,
+            minChunkMinutes,
+            shortBreakMinutes: readNumber('settings-short-break'),
+            longBreakMinutes: readNumber('settings-long-break'),
+            chunksBeforeLongBreak: readNumber('settings-long-break-after'),
+            bufferDays: readNumber('settings-buffer-days'),
+            revisionBlockMinutes: readNumber('settings-revision-block'),
+            useCorrectedEstimates: document.getElementById('settings-use-corrected').checked,
+            energyWindows,
+            typePreferences,
+            notificationsEnabled: document.getElementById('settings-notifications').checked,
+            notifyBeforeMinutes: readNumber('settings-notify-before'),
+            deadlineReminderHours,
+            mutedNotificationKinds,
+            quietHoursStart,
+            quietHoursEnd,
+            pomodoroByDefault: document.getElementById('settings-pomodoro-default').checked,
+            pomodoroFocusMinutes: readNumber('settings-pomodoro-focus'),
+            timerSoundsEnabled: document.getElementById('settings-timer-sounds').checked,
+            idleMinutes: readNumber('settings-idle-minutes')
+        });
+        if (scheduler.settings.notificationsEnabled) {
+            requestNotificationPermission();
+        }
+        displaySettings();
+        displayPendingTasks();
+        refreshSchedules();
+    });
+
+    // Calendar import of fixed blocks
+    document.getElementById('fb-ics-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            const { blocks, skipped } = icsEventsToFixedBlocks(parseICS(reader.result));
+            const { added, updated } = scheduler.importFixedBlocks(blocks);
+            let message = `Imported ${added} new and ${updated} updated fixed block(s).`;
+            if (skipped.length > 0) {
+                message += `\n\nSkipped ${skipped.length} event(s):\n` + skipped.map(s => `- ${s.summary}: ${s.reason}`).join('\n');
+            }
+            alert(message);
+            displayFixedBlocks();
+            displayPendingTasks();
+            refreshSchedules();
+            e.target.value = '';
+        };
+        reader.onerror = () => alert("Could not read the calendar file.");
+        reader.readAsText(file);
+    });
+
+    // Calendar export of the week plan (fixed blocks already live in the calendar they came from)
+    document.getElementById('export-week-ics-btn').addEventListener('click', () => {
+        const endDate = new Date(weekStartDate);
+        endDate.setDate(endDate.getDate() + 6);
+        const activities = scheduler.generatePlan(weekStartDate, endDate).days
+            .flatMap(day => day.activities)
+            .filter(activity => activity.type !== 'FIXED_BLOCK');
+        downloadFile(`schedule-${formatDateKey(weekStartDate)}.ics`, exportActivitiesToICS(activities), 'text/calendar');
+    });
+
+    // Reports, for the last two weeks unless another range is chosen
+    const reportStart = new Date();
+    reportStart.setDate(reportStart.getDate() - 13);
+    document.getElementById('report-start').value = formatDateKey(reportStart);
+    document.getElementById('report-end').value = formatDateKey(new Date());
+    document.getElementById('report-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        displayAnalyticsReport();
+    });
+    document.getElementById('export-report-csv-btn').addEventListener('click', () => {
+        const range = getReportRange();
+        if (!range) return;
+        const report = buildAnalyticsReport(scheduler, range.startDate, range.endDate);
+        downloadFile(`schedule-report-${formatDateKey(range.startDate)}-to-${formatDateKey(range.endDate)}.csv`, analyticsReportToCSV(report), 'text/csv');
+    });
+    displayAnalyticsReport();
+
+    // Backup download
+    document.getElementById('export-data-btn').addEventListener('click', () => {
+        const backup = JSON.stringify(scheduler.exportData(), null, 2);
+        downloadFile(`scheduler-backup-${formatDateKey(new Date())}.json`, backup, 'application/json');
+    });
+
+    // Backup restore
+    document.getElementById('import-data-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const file = document.getElementById('import-data-file').files[0];
+        const mode = document.getElementById('import-data-mode').value;
+        const onConflict = document.getElementById('import-data-conflict').value;
+        if (!file) return;
+        if (mode === 'replace' && !confirm("Replace ALL current tasks, fixed blocks, plans and settings with the backup?")) {
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            let result;
+            try {
+                result = scheduler.importData(JSON.parse(reader.result), mode, onConflict);
+            } catch (err) {
+                alert(`Could not restore the backup: ${err.message}`);
+                return;
+            }
+            const describe = (label, counts) => `${label}: ${counts.added} added, ${counts.updated} replaced, ${counts.skipped} skipped`;
+            alert([
+                "Backup restored.",
+                describe("Tasks", result.tasks),
+                describe("Fixed blocks", result.fixedBlocks),
+                describe("Committed plans", result.committedPlans),
+                describe("Review topics", result.reviewItems)
+            ].join('\n'));
+            displaySettings();
+            displayFixedBlocks();
+            displayPendingTasks();
+            displayReviewQueue();
+            refreshSchedules();
+            e.target.reset();
+        };
+        reader.onerror = () => alert("Could not read the backup file.");
+        reader.readAsText(file);
+    });
+
+    // Week navigation
+    document.getElementById('prev-week-btn').addEventListener('click', () => {
+        weekStartDate.setDate(weekStartDate.getDate() - 7);
+        displayWeekPlan(weekStartDate);
+    });
+    document.getElementById('next-week-btn').addEventListener('click', () => {
+        weekStartDate.setDate(weekStartDate.getDate() + 7);
+        displayWeekPlan(weekStartDate);
+    });
+
+    // Profile switcher
+    document.getElementById('profile-select').addEventListener('change', (e) => switchProfile(e.target.value));
+    document.getElementById('add-profile-btn').addEventListener('click', addProfileAndSwitch);
+    document.getElementById('rename-profile-btn').addEventListener('click', renameActiveProfile);
+    document.getElementById('delete-profile-btn').addEventListener('click', deleteActiveProfile);
+
+    // Shared free time
+    document.getElementById('shared-date').value = formatDateKey(new Date());
+    document.getElementById('shared-date').addEventListener('change', displaySharedFreeTime);
+    document.getElementById('shared-min-minutes').addEventListener('change', displaySharedFreeTime);
+
+    // Timetable navigation
+    document.getElementById('prev-timetable-btn').addEventListener('click', () => {
+        timetableWeekStart.setDate(timetableWeekStart.getDate() - 7);
+        displayTimetable();
+    });
+    document.getElementById('next-timetable-btn').addEventListener('click', () => {
+        timetableWeekStart.setDate(timetableWeekStart.getDate() + 7);
+        displayTimetable();
+    });
+
     // Stop timer button
     document.getElementById('stop-timer-btn').addEventListener('click', stopTimer);
+    document.getElementById('pause-timer-btn').addEventListener('click', togglePauseTimer);
+    document.getElementById('pomodoro-timer-btn').addEventListener('click', togglePomodoroMode);
 });
 
 // --- Display Functions ---
 
+function displaySettings() {
+    const settings = scheduler.settings;
+    document.getElementById('settings-day-start').value = settings.dayStartHour;
+    document.getElementById('settings-day-end').value = settings.dayEndHour;
+    document.getElementById('settings-chunk').value = settings.chunkMinutes;
+    document.getElementById('settings-min-chunk').value = settings.minChunkMinutes;
+    document.getElementById('settings-short-break').value = settings.shortBreakMinutes;
+    document.getElementById('settings-long-break').value = settings.longBreakMinutes;
+    document.getElementById('settings-long-break-after').value = settings.chunksBeforeLongBreak;
+    document.getElementById('settings-buffer-days').value = settings.bufferDays;
+    document.getElementById('settings-revision-block').value = settings.revisionBlockMinutes;
+    document.getElementById('settings-use-corrected').checked = settings.useCorrectedEstimates;
+    displayEstimateAccuracy();
+
+    document.getElementById('settings-notifications').checked = settings.notificationsEnabled;
+    document.getElementById('settings-notify-before').value = settings.notifyBeforeMinutes;
+    document.getElementById('settings-deadline-reminders').value = settings.deadlineReminderHours.join(', ');
+    document.getElementById('settings-quiet-start').value = settings.quietHoursStart ?? '';
+    document.getElementById('settings-quiet-end').value = settings.quietHoursEnd ?? '';
+    document.getElementById('settings-pomodoro-default').checked = settings.pomodoroByDefault;
+    document.getElementById('settings-pomodoro-focus').value = settings.pomodoroFocusMinutes;
+    document.getElementById('settings-timer-sounds').checked = settings.timerSoundsEnabled;
+    document.getElementById('settings-idle-minutes').value = settings.idleMinutes;
+    document.getElementById('settings-notification-kinds').innerHTML = Object.entries(NOTIFICATION_KINDS).map(([kind, label]) => `
+        <label><input type="checkbox" id="settings-notify-${kind}" ${settings.mutedNotificationKinds.includes(kind) ? '' : 'checked'}> ${label}</label>
+    `).join('');
+
+    const formatEnergyHours = level => formatHourRanges(settings.energyWindows.filter(window => window.level === level));
+    document.getElementById('settings-high-focus').value = formatEnergyHours('HIGH');
+    document.getElementById('settings-low-energy').value = formatEnergyHours('LOW');
+
+    const preferencesContainer = document.getElementById('settings-type-preferences');
+    preferencesContainer.innerHTML = '';
+    TASK_TYPES.forEach(type => {
+        const preference = settings.typePreferences[type] || {};
+        const row = document.createElement('div');
+        row.classList.add('weekday-window-row', 'type-preference-row');
+        row.innerHTML = `
+            <label>${type}</label>
+            <select id="settings-${type}-energy">
+                <option value="">Any energy</option>
+                <option value="HIGH" ${preference.energy === 'HIGH' ? 'selected' : ''}>High focus</option>
+                <option value="LOW" ${preference.energy === 'LOW' ? 'selected' : ''}>Low energy</option>
+            </select>
+            <span>prefer</span>
+            <input type="number" id="settings-${type}-preferred-start" min="0" max="23" value="${preference.preferredStartHour ?? ''}">
+            <span>to</span>
+            <input type="number" id="settings-${type}-preferred-end" min="1" max="24" value="${preference.preferredEndHour ?? ''}">
+            <span>never before</span>
+            <input type="number" id="settings-${type}-earliest" min="0" max="23" value="${preference.earliestHour ?? ''}">
+            <span>or after</span>
+            <input type="number" id="settings-${type}-latest" min="1" max="24" value="${preference.latestHour ?? ''}">
+        `;
+        preferencesContainer.appendChild(row);
+    });
+
+    const weekdaysContainer = document.getElementById('settings-weekdays');
+    weekdaysContainer.innerHTML = '';
+    WEEKDAYS.forEach(day => {
+        const weekdayWindow = settings.weekdayWindows[day] || { enabled: true, startHour: null, endHour: null };
+        const row = document.createElement('div');
+        row.classList.add('weekday-window-row');
+        row.innerHTML = `
+            <label><input type="checkbox" id="settings-${day}-enabled" ${weekdayWindow.enabled ? 'checked' : ''}> ${day}</label>
+            <input type="number" id="settings-${day}-start" min="0" max="23" placeholder="${settings.dayStartHour}" value="${weekdayWindow.startHour ?? ''}">
+            <span>to</span>
+            <input type="number" id="settings-${day}-end" min="1" max="24" placeholder="${settings.dayEndHour}" value="${weekdayWindow.endHour ?? ''}">
+        `;
+        weekdaysContainer.appendChild(row);
+    });
+}
+
+// Text from users or imported calendars, made safe to put into HTML and attribute values
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 function displayFixedBlocks() {
     const list = document.getElementById('fixed-blocks-list');
     list.innerHTML = '';
+    displayTimetable();
+    displaySharedFreeTime();
     if (scheduler.fixedBlocks.length === 0) {
         list.innerHTML = '<p>No fixed blocks added yet.</p>';
         return;
@@ -109,49 +606,304 @@ function displayFixedBlocks() {
     scheduler.fixedBlocks.forEach(block => {
         const item = document.createElement('li');
         item.classList.add('fixed-block-item');
-        const startTimeStr = String(block.startHour).padStart(2, '0') + ':' + String(block.startMinute).padStart(2, '0');
-        const endTimeStr = String(block.endHour).padStart(2, '0') + ':' + String(block.endMinute).padStart(2, '0');
-        const dayDisplay = block.dayOfWeek === 'ALL_DAYS' ? 'Every Day' : block.dayOfWeek;
+        // Imported blocks carry IDs and names from the calendar file, so neither is ever run as script
+        const exceptionsHtml = block.exceptionDates.length === 0 ? '' : `<br><small>Skipped on: ${block.exceptionDates.map(dateKey =>
+            `${escapeHtml(dateKey)} <a href="#" data-restore-date="${escapeHtml(dateKey)}">(restore)</a>`
+        ).join(', ')}</small>`;
+        const skipButton = block.recurrence && block.recurrence.freq === 'ONCE'
+            ? ''
+            : '<button data-action="skip">Skip a Date</button>';
         item.innerHTML = `
-            <span>${dayDisplay}: <strong>${block.description}</strong> (${startTimeStr} - ${endTimeStr})</span>
-            <button class="delete-btn" onclick="deleteFixedBlockAndRefresh('${block.id}')">Delete</button>
+            <span>${escapeHtml(block.describeRecurrence())}: <strong>${escapeHtml(block.description)}</strong> (${block.describeTimes()})${exceptionsHtml}</span>
+            ${skipButton}
+            <button class="delete-btn" data-action="delete">Delete</button>
         `;
+        item.querySelectorAll('[data-restore-date]').forEach(link => link.addEventListener('click', (e) => {
+            e.preventDefault();
+            removeFixedBlockExceptionAndRefresh(block.id, link.dataset.restoreDate);
+        }));
+        const skip = item.querySelector('[data-action="skip"]');
+        if (skip) skip.addEventListener('click', () => addFixedBlockExceptionAndRefresh(block.id));
+        item.querySelector('[data-action="delete"]').addEventListener('click', () => deleteFixedBlockAndRefresh(block.id));
         list.appendChild(item);
     });
 }
 
+// Hour ranges are written as "9-12, 16-18"
+function formatHourRanges(ranges) {
+    return ranges.map(range => `${range.startHour}-${range.endHour}`).join(', ');
+}
+
+// Returns [{ startHour, endHour }], or null if the text isn't a list of valid ranges
+function parseHourRanges(text) {
+    const ranges = [];
+    for (const part of text.split(',').map(p => p.trim()).filter(p => p !== '')) {
+        const match = /^(\d{1,2})\s*-\s*(\d{1,2})$/.exec(part);
+        if (!match || +match[1] >= +match[2] || +match[2] > 24) {
+            return null;
+        }
+        ranges.push({ startHour: +match[1], endHour: +match[2] });
+    }
+    return ranges;
+}
+
+function displayEstimateAccuracy() {
+    const accuracy = scheduler.getEstimateAccuracy();
+    const accuracyTypes = Object.keys(accuracy);
+    document.getElementById('settings-estimate-accuracy').innerHTML = accuracyTypes.length === 0
+        ? 'No completed tasks with logged time yet.'
+        : accuracyTypes.map(type => `${type}: ${formatAccuracy(accuracy[type])}`).join('<br>');
+}
+
+// e.g. "1.40x your estimate (5 completed tasks)"
+function formatAccuracy(typeAccuracy) {
+    const note = typeAccuracy.isReliable ? '' : ', not enough history to plan with yet';
+    return `${typeAccuracy.ratio.toFixed(2)}x your estimate (${typeAccuracy.sampleSize} completed task${typeAccuracy.sampleSize === 1 ? '' : 's'}${note})`;
+}
+
+function updateEstimateHint() {
+    const hint = document.getElementById('task-estimate-hint');
+    const type = document.getElementById('task-type').value;
+    const estimate = parseInt(document.getElementById('task-estimated-time').value);
+    const typeAccuracy = scheduler.getEstimateAccuracy()[type];
+    if (!typeAccuracy) {
+        hint.textContent = '';
+        return;
+    }
+    let text = `${type} tasks have taken ${formatAccuracy(typeAccuracy)}.`;
+    if (!isNaN(estimate) && estimate > 0) {
+        text += ` That suggests about ${Math.round(estimate * typeAccuracy.ratio)} min.`;
+    }
+    hint.textContent = text;
+}
+
+// Adds a fixed block after checking it against the existing ones. Overlapping blocks can be merged
+// if they repeat on the same dates, or kept side by side. Returns false if the user cancelled.
+function addFixedBlockChecked(newBlock) {
+    const conflicts = scheduler.findFixedBlockConflicts(newBlock);
+    let merged = null;
+    if (conflicts.length > 0) {
+        const conflictList = conflicts.map(({ block, dateKey }) =>
+            `- ${block.description} (${block.describeRecurrence()} ${block.describeTimes()}), first on ${dateKey}`).join('\n');
+        const mergeable = scheduler.getMergeableFixedBlocks(newBlock);
+        if (mergeable.length > 0 && confirm(`"${newBlock.description}" overlaps:\n${conflictList}\n\nMerge it with ${mergeable.map(block => `"${block.description}"`).join(', ')} into one block?`)) {
+            merged = scheduler.mergeFixedBlock(newBlock);
+            if (!merged) {
+                alert("These blocks can't be merged: together they would last a whole day.");
+            }
+        }
+        if (!merged && !confirm(`"${newBlock.description}" overlaps:\n${conflictList}\n\nAdd it anyway?`)) {
+            return false;
+        }
+    }
+    if (!merged) {
+        scheduler.addFixedBlock(newBlock);
+    }
+    return true;
+}
+
+// Shows what the quick add text will add, or why it can't be added yet
+function displayQuickAddPreview() {
+    const text = document.getElementById('quick-add-input').value;
+    const preview = document.getElementById('quick-add-preview');
+    if (!text.trim()) {
+        preview.innerHTML = '';
+        return;
+    }
+    const result = parseQuickAdd(text);
+    if (result.error) {
+        preview.innerHTML = `<span class="quick-add-error">${escapeHtml(result.error)}</span>`;
+    } else if (result.task) {
+        const task = result.task;
+        const estimate = task.estimatedMinutes >= 60
+            ? `${Math.floor(task.estimatedMinutes / 60)}h${task.estimatedMinutes % 60 ? ` ${task.estimatedMinutes % 60}m` : ''}`
+            : `${task.estimatedMinutes}m`;
+        preview.innerHTML = `New task: <strong>${escapeHtml(task.name)}</strong> &middot; ${task.priority.toLowerCase()} priority
+            &middot; due ${task.deadline.toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+            &middot; ${estimate} estimate &middot; ${task.type.toLowerCase()}`;
+    } else {
+        const block = result.block;
+        preview.innerHTML = `New fixed block: <strong>${escapeHtml(block.description)}</strong> &middot; ${block.describeRecurrence()} &middot; ${block.describeTimes()}`;
+    }
+}
+
+function updateFixedBlockFormFields() {
+    const repeat = document.getElementById('fb-repeat').value;
+    document.getElementById('fb-date-label').textContent =
+        repeat === 'ONCE' || repeat === 'MONTHLY' ? 'Date:' : 'Starts On (optional):';
+    document.getElementById('fb-weekdays-group').style.display = repeat === 'WEEKLY' ? 'block' : 'none';
+    document.getElementById('fb-interval-group').style.display = repeat === 'ONCE' ? 'none' : 'block';
+}
+
 function displayPendingTasks() {
     const list = document.getElementById('pending-tasks-list');
     list.innerHTML = '';
     const pending = scheduler.tasks.filter(task => !task.isCompleted);
+    populatePrerequisiteOptions(pending);
     if (pending.length === 0) {
+        displayTaskListToolbar('pending', []);
         list.innerHTML = '<p>No pending tasks! Good job!</p>';
         return;
     }
-    pending.forEach(task => {
+    const shown = filterAndSortTasks(pending, taskListViews.pending);
+    displayTaskListToolbar('pending', shown);
+    if (shown.length === 0) {
+        list.innerHTML = '<p>No tasks match the search and filters.</p>';
+        return;
+    }
+    const reports = scheduler.analyzeDeadlines();
+    const accuracy = scheduler.getEstimateAccuracy();
+    shown.forEach(task => {
         const item = document.createElement('li');
         item.classList.add('task-item');
+        if (editingTaskIds.has(task.id)) {
+            fillTaskEditItem(item, task);
+            list.appendChild(item);
+            return;
+        }
+        const report = reports.find(r => r.taskId === task.id);
+        const planningMinutes = scheduler.getPlanningMinutes(task, accuracy);
+        const plannedAs = planningMinutes !== task.remainingMinutes ? `, planned as ${planningMinutes} min` : '';
         item.innerHTML = `
-            <span><strong>${task.name}</strong> (Priority: ${task.priority}, Due: ${task.deadline.toLocaleString()}, Remaining: ${task.remainingMinutes} min)</span>
+            ${getTaskSelectHtml('pending', task)}
+            <span><strong>${escapeHtml(task.name)}</strong> ${getFeasibilityBadge(report)} (Priority: ${task.priority}, Due: ${task.deadline.toLocaleString()}, Remaining: ${task.remainingMinutes} min${plannedAs})
+                ${getDependenciesHtml(task, pending)}
+                ${getSubtasksHtml(task)}
+                ${getSessionHistoryHtml(task)}
+            </span>
+            <button onclick="markTaskCompletedAndRefresh('${task.id}')">Complete</button>
+            <button onclick="logWorkAndRefresh('${task.id}')">Log Time</button>
+            <button class="secondary-btn" onclick="editTaskInPlace('${task.id}')">Edit</button>
             <button class="delete-btn" onclick="deleteTaskAndRefresh('${task.id}')">Delete</button>
         `;
         list.appendChild(item);
     });
 }
 
+function getDependenciesHtml(task, pending) {
+    let html = '';
+    const blocking = scheduler.getBlockingTasks(task.id);
+    if (blocking.length > 0) {
+        html += `<br><span class="badge badge-blocked">Blocked by: ${blocking.map(t => escapeHtml(t.name)).join(', ')}</span>`;
+    }
+
+    const prerequisites = task.prerequisiteIds.map(id => scheduler.tasks.find(t => t.id === id)).filter(Boolean);
+    if (prerequisites.length > 0) {
+        html += `<br><small>Depends on: ${prerequisites.map(prerequisite =>
+            `${escapeHtml(prerequisite.name)} <a href="#" onclick="removePrerequisiteAndRefresh('${task.id}', '${prerequisite.id}'); return false;">(remove)</a>`
+        ).join(', ')}</small>`;
+    }
+
+    const candidates = pending.filter(t => t.id !== task.id && !task.prerequisiteIds.includes(t.id));
+    if (candidates.length > 0) {
+        html += `<br><select class="add-prerequisite" onchange="addPrerequisiteAndRefresh('${task.id}', this.value)">
+            <option value="">+ Depends on...</option>
+            ${candidates.map(t => `<option value="${t.id}">${escapeHtml(t.name)}</option>`).join('')}
+        </select>`;
+    }
+    return html;
+}
+
+// Checklist of a task's subtasks, with a row for adding the next one
+function getSubtasksHtml(task) {
+    const rows = task.subtasks.map(subtask => {
+        const deadline = subtask.deadline ? `, due ${subtask.deadline.toLocaleDateString()}` : '';
+        const progress = subtask.isCompleted ? '' : `, ${subtask.remainingMinutes} of ${subtask.estimatedMinutes} min left`;
+        return `
+            <li class="${subtask.isCompleted ? 'subtask-completed' : ''}">
+                <label><input type="checkbox" ${subtask.isCompleted ? 'checked' : ''}
+                    onchange="setSubtaskCompletedAndRefresh('${task.id}', '${subtask.id}', this.checked)"> ${escapeHtml(subtask.name)}</label>
+                <small>(${subtask.estimatedMinutes} min${progress}${deadline})</small>
+                <a href="#" onclick="deleteSubtaskAndRefresh('${task.id}', '${subtask.id}'); return false;">(remove)</a>
+            </li>
+        `;
+    }).join('');
+    const doneCount = task.subtasks.filter(subtask => subtask.isCompleted).length;
+    const summary = task.subtasks.length > 0 ? `<small>Steps: ${doneCount} of ${task.subtasks.length} done</small>` : '';
+
+    return `
+        <div class="subtask-list">
+            ${summary}
+            <ul>${rows}</ul>
+            <div class="subtask-add">
+                <input type="text" id="subtask-new-name-${task.id}" placeholder="New step">
+                <input type="number" id="subtask-new-minutes-${task.id}" min="1" placeholder="Minutes">
+                <input type="date" id="subtask-new-deadline-${task.id}" title="Optional deadline">
+                <button onclick="addSubtaskAndRefresh('${task.id}')">Add Step</button>
+            </div>
+        </div>
+    `;
+}
+
+// Collapsible list of a task's work sessions, with inline editing and a form to add one
+function getSessionHistoryHtml(task) {
+    const sessions = scheduler.getSessionsForTask(task.id);
+    const rows = sessions.map(session => `
+        <li>
+            <input type="datetime-local" id="session-start-${session.id}" value="${toDateTimeInputValue(new Date(session.startMillis))}">
+            <input type="number" id="session-minutes-${session.id}" min="1" value="${session.getDurationMinutes()}"> min
+            <small>${escapeHtml(session.note)}</small>
+            <button onclick="updateWorkSessionAndRefresh('${session.id}')">Save</button>
+            <button class="delete-btn" onclick="deleteWorkSessionAndRefresh('${session.id}')">Delete</button>
+        </li>
+    `).join('');
+
+    return `
+        <details class="session-history" ${openSessionHistories.has(task.id) ? 'open' : ''}
+            ontoggle="this.open ? openSessionHistories.add('${task.id}') : openSessionHistories.delete('${task.id}')">
+            <summary>Work sessions: ${sessions.length} (${scheduler.getLoggedMinutes(task.id)} of ${task.estimatedMinutes} min logged)</summary>
+            <ul>${rows || '<li>No work logged yet.</li>'}</ul>
+            <div class="session-add">
+                <input type="datetime-local" id="session-new-start-${task.id}" value="${toDateTimeInputValue(new Date())}">
+                <input type="number" id="session-new-minutes-${task.id}" min="1" placeholder="Minutes">
+                <button onclick="addWorkSessionAndRefresh('${task.id}')">Add Session</button>
+            </div>
+        </details>
+    `;
+}
+
+// Formats a Date for a datetime-local input (local time, minute precision)
+function toDateTimeInputValue(date) {
+    return `${formatDateKey(date)}T${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+// Fills the prerequisites picker of the task form with the current pending tasks
+function populatePrerequisiteOptions(pending) {
+    const select = document.getElementById('task-prerequisites');
+    select.innerHTML = pending.map(task => `<option value="${task.id}">${escapeHtml(task.name)}</option>`).join('');
+}
+
 function displayAllTasks() {
     const list = document.getElementById('all-tasks-list');
     list.innerHTML = '';
     if (scheduler.tasks.length === 0) {
+        displayTaskListToolbar('all', []);
         list.innerHTML = '<p>No tasks added yet.</p>';
         return;
     }
-    scheduler.tasks.forEach(task => {
+    const shown = filterAndSortTasks(scheduler.tasks, taskListViews.all);
+    displayTaskListToolbar('all', shown);
+    if (shown.length === 0) {
+        list.innerHTML = '<p>No tasks match the search and filters.</p>';
+        return;
+    }
+    shown.forEach(task => {
         const item = document.createElement('li');
         item.classList.add('task-item');
+        if (editingTaskIds.has(task.id)) {
+            fillTaskEditItem(item, task);
+            list.appendChild(item);
+            return;
+        }
         const status = task.isCompleted ? 'Completed' : 'Pending';
         item.innerHTML = `
-            <span><strong>${task.name}</strong> (${status}) - ${task.description}</span>
+            ${getTaskSelectHtml('all', task)}
+            <span><strong>${escapeHtml(task.name)}</strong> (${status}, Priority: ${task.priority}, Due: ${task.deadline.toLocaleString()}) - ${escapeHtml(task.description)}
+                ${getSubtasksHtml(task)}
+                ${getSessionHistoryHtml(task)}
+            </span>
+            ${task.isCompleted ? '' : `<button onclick="markTaskCompletedAndRefresh('${task.id}')">Complete</button>`}
+            <button class="secondary-btn" onclick="editTaskInPlace('${task.id}')">Edit</button>
             <button class="delete-btn" onclick="deleteTaskAndRefresh('${task.id}')">Delete</button>
         `;
         if (task.isCompleted) {
@@ -161,127 +913,1541 @@ function displayAllTasks() {
     });
 }
 
-function displayDailySchedule(date) {
-    document.getElementById('current-date').textContent = date.toLocaleDateString('en-US', {
-        weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
-    });
-    const scheduleContainer = document.getElementById('daily-schedule');
-    scheduleContainer.innerHTML = '';
+// --- Task List Search, Sorting and Bulk Actions ---
 
-    const generatedSchedule = scheduler.generateDailySchedule(date);
+// Search box and filters above a task list. Rendered once, so typing in the search box keeps its focus.
+function setupTaskListControls(listName) {
+    const statusFilter = listName === 'all' ? `
+        <select data-filter="status">
+            <option value="">Any status</option>
+            <option value="PENDING">Pending</option>
+            <option value="COMPLETED">Completed</option>
+        </select>` : '';
+    const controls = document.getElementById(`${listName}-tasks-controls`);
+    controls.innerHTML = `
+        <input type="search" data-filter="query" placeholder="Search tasks and steps...">
+        <select data-filter="type">
+            <option value="">Any type</option>
+            ${TASK_TYPES.map(type => `<option value="${type}">${type}</option>`).join('')}
+        </select>
+        <select data-filter="priority">
+            <option value="">Any priority</option>
+            ${Object.keys(TASK_PRIORITY_RANK).map(priority => `<option value="${priority}">${priority}</option>`).join('')}
+        </select>
+        ${statusFilter}
+        <label>Due from <input type="date" data-filter="deadlineFrom"></label>
+        <label>to <input type="date" data-filter="deadlineTo"></label>
+    `;
+    controls.addEventListener('input', (e) => {
+        const filterKey = e.target.dataset.filter;
+        if (!filterKey) return;
+        taskListViews[listName][filterKey] = e.target.value;
+        displayTaskList(listName);
+    });
+}
 
-    if (generatedSchedule.length === 0) {
-        scheduleContainer.innerHTML = '<p>No schedule generated for this day. Add some tasks and fixed blocks!</p>';
-        return;
+function displayTaskList(listName) {
+    if (listName === 'pending') {
+        displayPendingTasks();
+    } else {
+        displayAllTasks();
     }
+}
 
-    generatedSchedule.forEach(activity => {
-        const activityDiv = document.createElement('div');
-        // Use a more generic class for styling and a specific one for type
-        activityDiv.classList.add('schedule-item', `schedule-item-${activity.type.toLowerCase().replace('_', '-')}`);
+function getTaskListTasks(listName) {
+    return listName === 'pending' ? scheduler.tasks.filter(task => !task.isCompleted) : scheduler.tasks;
+}
 
-        const startTime = new Date(activity.startMillis).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-        const endTime = new Date(activity.endMillis).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+function filterAndSortTasks(tasks, view) {
+    const query = view.query.trim().toLowerCase();
+    // Date-only bounds cover the whole of their day
+    const deadlineFrom = view.deadlineFrom ? new Date(`${view.deadlineFrom}T00:00`) : null;
+    const deadlineTo = view.deadlineTo ? new Date(`${view.deadlineTo}T23:59:59`) : null;
+    const matchesQuery = task => !query || [task.name, task.description, ...task.subtasks.map(subtask => subtask.name)]
+        .some(text => text.toLowerCase().includes(query));
 
-        let content = `<span><strong>${activity.name}</strong> (${startTime} - ${endTime})</span>`;
+    const filtered = tasks.filter(task =>
+        matchesQuery(task) &&
+        (!view.type || task.type === view.type) &&
+        (!view.priority || task.priority === view.priority) &&
+        (!view.status || task.isCompleted === (view.status === 'COMPLETED')) &&
+        (!deadlineFrom || task.deadline >= deadlineFrom) &&
+        (!deadlineTo || task.deadline <= deadlineTo));
 
-        if (activity.type === 'TASK' && activity.taskId) {
-            const originalTask = scheduler.tasks.find(t => t.id === activity.taskId);
-            if (originalTask && !originalTask.isCompleted) {
-                content += `<button onclick="startTaskTimer('${activity.taskId}')">Start Task</button>`;
-            }
-        }
-        activityDiv.innerHTML = content;
-        scheduleContainer.appendChild(activityDiv);
-    });
+    const column = TASK_SORT_COLUMNS.find(c => c.key === view.sortKey);
+    if (!column) {
+        return filtered;
+    }
+    const direction = view.sortDescending ? -1 : 1;
+    return filtered.slice().sort((a, b) => direction * column.compare(a, b));
 }
 
-// --- Action Handlers (called from HTML buttons) ---
+// Select-all box and sortable column headers, plus the bulk actions while tasks are selected
+function displayTaskListToolbar(listName, shownTasks) {
+    const view = taskListViews[listName];
+    const toolbar = document.getElementById(`${listName}-tasks-toolbar`);
+    // Tasks hidden by the filters, completed or deleted drop out of the selection
+    view.selectedIds = new Set(shownTasks.filter(task => view.selectedIds.has(task.id)).map(task => task.id));
+    if (shownTasks.length === 0) {
+        toolbar.innerHTML = '';
+        return;
+    }
 
-function markTaskCompletedAndRefresh(taskId) {
-    if (scheduler.markTaskCompleted(taskId)) {
-        displayPendingTasks();
-        displayDailySchedule(new Date());
+    const sortButtons = TASK_SORT_COLUMNS.map(column => {
+        const isActive = view.sortKey === column.key;
+        const arrow = isActive ? (view.sortDescending ? ' ▼' : ' ▲') : '';
+        return `<button class="sort-btn ${isActive ? 'sort-active' : ''}" onclick="sortTaskList('${listName}', '${column.key}')">${column.label}${arrow}</button>`;
+    }).join('');
+
+    let bulkActions = '';
+    if (view.selectedIds.size > 0) {
+        bulkActions = `
+            <div class="task-bulk-actions">
+                <strong>${view.selectedIds.size} selected:</strong>
+                <button onclick="bulkCompleteTasks('${listName}')">Complete</button>
+                <select onchange="bulkSetTaskPriority('${listName}', this.value)">
+                    <option value="">Set priority...</option>
+                    ${Object.keys(TASK_PRIORITY_RANK).map(priority => `<option value="${priority}">${priority}</option>`).join('')}
+                </select>
+                <button class="secondary-btn" onclick="bulkPushTaskDeadlines('${listName}')">Push Deadlines</button>
+                <button class="delete-btn" onclick="bulkDeleteTasks('${listName}')">Delete</button>
+            </div>
+        `;
     }
-}
 
-function deleteFixedBlockAndRefresh(blockId) {
-    scheduler.deleteFixedBlock(blockId);
-    displayFixedBlocks();
-    displayDailySchedule(new Date());
+    toolbar.innerHTML = `
+        <label><input type="checkbox" ${view.selectedIds.size === shownTasks.length ? 'checked' : ''}
+            onchange="selectAllTasks('${listName}', this.checked)"> Select all</label>
+        <span class="task-sort">Sort by: ${sortButtons}</span>
+        ${bulkActions}
+    `;
 }
 
-function deleteTaskAndRefresh(taskId) {
-    scheduler.deleteTask(taskId);
-    displayPendingTasks();
-    displayDailySchedule(new Date());
+function getTaskSelectHtml(listName, task) {
+    return `<input type="checkbox" class="task-select" ${taskListViews[listName].selectedIds.has(task.id) ? 'checked' : ''}
+        onchange="setTaskSelected('${listName}', '${task.id}', this.checked)">`;
 }
 
-// --- Timer Logic ---
+// Clicking a column sorts by it; clicking it again reverses the order
+function sortTaskList(listName, sortKey) {
+    const view = taskListViews[listName];
+    view.sortDescending = view.sortKey === sortKey && !view.sortDescending;
+    view.sortKey = sortKey;
+    displayTaskList(listName);
+}
 
-function startTaskTimer(taskId) {
-    // Prevent multiple timers
-    if (timerInterval) {
-        alert("A timer is already running. Please stop it first.");
-        return;
+function setTaskSelected(listName, taskId, isSelected) {
+    const selectedIds = taskListViews[listName].selectedIds;
+    if (isSelected) {
+        selectedIds.add(taskId);
+    } else {
+        selectedIds.delete(taskId);
     }
+    displayTaskList(listName);
+}
 
-    const task = scheduler.tasks.find(t => t.id === taskId);
-    if (!task) return;
-
-    currentTaskId = taskId;
-    timerStartTime = new Date();
-    
-    // Save timer state to localStorage in case of a refresh
-    localStorage.setItem('activeTimer', JSON.stringify({
-        taskId: currentTaskId,
-        startTime: timerStartTime
-    }));
+function selectAllTasks(listName, isSelected) {
+    const view = taskListViews[listName];
+    view.selectedIds = isSelected
+        ? new Set(filterAndSortTasks(getTaskListTasks(listName), view).map(task => task.id))
+        : new Set();
+    displayTaskList(listName);
+}
 
-    const timerDisplay = document.getElementById('task-timer-display');
-    timerDisplay.style.display = 'block';
+function bulkCompleteTasks(listName) {
+    taskListViews[listName].selectedIds.forEach(taskId => {
+        const task = scheduler.tasks.find(t => t.id === taskId);
+        if (task && !task.isCompleted) {
+            scheduler.markTaskCompleted(taskId);
+        }
+    });
+    taskListViews[listName].selectedIds.clear();
+    refreshAfterTaskChange();
+}
 
-    timerInterval = setInterval(() => {
-        const elapsedTimeMillis = Date.now() - timerStartTime.getTime();
-        const elapsedMinutes = Math.floor(elapsedTimeMillis / (60 * 1000));
-        const elapsedSeconds = Math.floor((elapsedTimeMillis % (60 * 1000)) / 1000);
-        
-        timerDisplay.innerHTML = `
-            <h2>Timer: ${task.name}</h2>
-            <span>Time Elapsed: ${String(elapsedMinutes).padStart(2, '0')}:${String(elapsedSeconds).padStart(2, '0')}</span>
-            <br>
-            <span>Remaining: ${Math.max(0, task.remainingMinutes - elapsedMinutes)} min</span>
-        `;
-    }, 1000);
+function bulkDeleteTasks(listName) {
+    const selectedIds = taskListViews[listName].selectedIds;
+    if (!confirm(`Delete ${selectedIds.size} task(s)? Their logged work stays in your reports.`)) return;
+    selectedIds.forEach(taskId => scheduler.deleteTask(taskId));
+    selectedIds.clear();
+    refreshAfterTaskChange();
 }
 
-function stopTimer() {
-    if (!timerInterval) return;
+function bulkSetTaskPriority(listName, priority) {
+    if (!priority) return;
+    taskListViews[listName].selectedIds.forEach(taskId => scheduler.updateTask(taskId, { priority }));
+    refreshAfterTaskChange();
+}
 
-    clearInterval(timerInterval);
-    timerInterval = null;
-    localStorage.removeItem('activeTimer');
-    
-    if (currentTaskId) {
-        const task = scheduler.tasks.find(t => t.id === currentTaskId);
-        if (task) {
-            const elapsedTimeMillis = Date.now() - timerStartTime.getTime();
-            const elapsedMinutes = Math.floor(elapsedTimeMillis / (60 * 1000));
-            task.remainingMinutes = Math.max(0, task.remainingMinutes - elapsedMinutes);
-            
-            // Check for completion
-            if (task.remainingMinutes <= 0) {
-                markTaskCompletedAndRefresh(task.id);
-            } else {
-                 scheduler.saveData();
-                 displayDailySchedule(new Date());
-            }
-        }
+function bulkPushTaskDeadlines(listName) {
+    const input = prompt("Move the selected deadlines by how many days? (Negative numbers bring them forward.)", "1");
+    if (input === null) return;
+    const days = parseInt(input);
+    if (isNaN(days) || days === 0) {
+        alert("Please enter a whole number of days other than zero.");
+        return;
     }
+    taskListViews[listName].selectedIds.forEach(taskId => {
+        const task = scheduler.tasks.find(t => t.id === taskId);
+        if (!task) return;
+        const deadline = new Date(task.deadline);
+        deadline.setDate(deadline.getDate() + days);
+        scheduler.updateTask(taskId, { deadline });
+    });
+    refreshAfterTaskChange();
+}
+
+// --- In-Place Task Editing ---
 
-    currentTaskId = null;
-    timerStartTime = null;
-    document.getElementById('task-timer-display').style.display = 'none';
-    document.getElementById('task-timer-display').innerHTML = '';
+// Fills a task list item with an edit form for the task. Text is set through the DOM, so names with quotes survive.
+function fillTaskEditItem(item, task) {
+    const prefix = `task-edit-${task.id}`;
+    const options = (values, selected) => values.map(value =>
+        `<option value="${value}" ${value === selected ? 'selected' : ''}>${value}</option>`).join('');
+    // A task with steps takes its estimate from them
+    const estimateField = task.subtasks.length > 0
+        ? `<small>Estimate: ${task.estimatedMinutes} min (sum of steps)</small>`
+        : `<label>Estimate (min) <input type="number" id="${prefix}-minutes" min="1" value="${task.estimatedMinutes}"></label>`;
+    item.innerHTML = `
+        <div class="task-edit">
+            <input type="text" id="${prefix}-name">
+            <textarea id="${prefix}-description"></textarea>
+            <div class="task-edit-row">
+                <select id="${prefix}-priority">${options(Object.keys(TASK_PRIORITY_RANK), task.priority)}</select>
+                <select id="${prefix}-type">${options(TASK_TYPES, task.type)}</select>
+                <input type="datetime-local" id="${prefix}-deadline" value="${toDateTimeInputValue(task.deadline)}">
+                ${estimateField}
+            </div>
+            <div class="task-edit-row">
+                <button onclick="saveTaskEditAndRefresh('${task.id}')">Save</button>
+                <button class="secondary-btn" onclick="cancelTaskEdit('${task.id}')">Cancel</button>
+            </div>
+        </div>
+    `;
+    item.querySelector(`#${prefix}-name`).value = task.name;
+    item.querySelector(`#${prefix}-description`).value = task.description;
 }
 
+function editTaskInPlace(taskId) {
+    editingTaskIds.add(taskId);
+    displayTaskLists();
+}
+
+function cancelTaskEdit(taskId) {
+    editingTaskIds.delete(taskId);
+    displayTaskLists();
+}
+
+function saveTaskEditAndRefresh(taskId) {
+    const readField = field => document.getElementById(`task-edit-${taskId}-${field}`);
+    const name = readField('name').value.trim();
+    const deadline = new Date(readField('deadline').value);
+    if (!name) {
+        alert("Please give the task a name.");
+        return;
+    }
+    if (isNaN(deadline.getTime())) {
+        alert("Please enter a valid deadline.");
+        return;
+    }
+    const changes = {
+        name,
+        description: readField('description').value,
+        priority: readField('priority').value,
+        type: readField('type').value,
+        deadline
+    };
+    const minutesField = readField('minutes');
+    if (minutesField) {
+        const estimatedMinutes = parseInt(minutesField.value);
+        if (isNaN(estimatedMinutes) || estimatedMinutes <= 0) {
+            alert("Please enter a valid estimated time in minutes (must be a positive number).");
+            return;
+        }
+        changes.estimatedMinutes = estimatedMinutes;
+    }
+    scheduler.updateTask(taskId, changes);
+    editingTaskIds.delete(taskId);
+    refreshAfterTaskChange();
+}
+
+function displayReviewQueue() {
+    const list = document.getElementById('review-queue-list');
+    list.innerHTML = '';
+    if (scheduler.reviewItems.length === 0) {
+        list.innerHTML = '<p>Nothing to review yet.</p>';
+        return;
+    }
+    const todayKey = formatDateKey(new Date());
+    scheduler.reviewItems
+        .slice()
+        .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+        .forEach(item => {
+            const listItem = document.createElement('li');
+            listItem.classList.add('fixed-block-item');
+            let due = `due ${item.dueDate}`;
+            if (item.dueDate < todayKey) due = `<span class="badge badge-at-risk">Overdue since ${item.dueDate}</span>`;
+            else if (item.dueDate === todayKey) due = '<span class="badge badge-on-track">Due today</span>';
+            const lastReview = item.history[item.history.length - 1];
+            listItem.innerHTML = `
+                <span><strong>${escapeHtml(item.topic)}</strong> ${due}<br>
+                <small>${item.history.length} review(s)${lastReview ? `, last rated ${lastReview.rating.toLowerCase()} on ${lastReview.date}` : ''}</small></span>
+                <button class="delete-btn" onclick="deleteReviewItemAndRefresh('${item.id}')">Remove</button>
+            `;
+            list.appendChild(listItem);
+        });
+}
+
+// Rating buttons for a review session in the daily schedule, or a note once it has been rated today
+function getReviewRatingHtml(reviewItemId) {
+    const item = scheduler.reviewItems.find(i => i.id === reviewItemId);
+    if (!item) return '';
+    const todayKey = formatDateKey(new Date());
+    const lastReview = item.history[item.history.length - 1];
+    if (lastReview && lastReview.date === todayKey) {
+        return `<span class="badge badge-on-track">Reviewed: ${lastReview.rating.toLowerCase()}</span>`;
+    }
+    if (item.dueDate > todayKey) return '';
+    return `<span class="review-rating">${REVIEW_RATINGS.map(rating =>
+        `<button class="secondary-btn" onclick="rateReviewAndRefresh('${item.id}', '${rating}')">${rating[0] + rating.slice(1).toLowerCase()}</button>`
+    ).join('')}</span>`;
+}
+
+function getFeasibilityBadge(report) {
+    if (!report || report.status === 'ON_TRACK') {
+        return '<span class="badge badge-on-track">On track</span>';
+    }
+    if (report.status === 'AT_RISK') {
+        return `<span class="badge badge-at-risk">At risk: ${report.shortfallMinutes} min into buffer</span>`;
+    }
+    return `<span class="badge badge-infeasible">Cannot finish: ${report.shortfallMinutes} min short</span>`;
+}
+
+function displayFeasibilityBanner() {
+    const banner = document.getElementById('feasibility-banner');
+    const reports = scheduler.analyzeDeadlines();
+    const atRisk = reports.filter(r => r.status === 'AT_RISK');
+    const infeasible = reports.filter(r => r.status === 'INFEASIBLE');
+
+    if (atRisk.length === 0 && infeasible.length === 0) {
+        banner.style.display = 'none';
+        banner.innerHTML = '';
+        return;
+    }
+
+    const taskName = report => escapeHtml(scheduler.tasks.find(t => t.id === report.taskId).name);
+    let content = '';
+    if (infeasible.length > 0) {
+        content += `<p><strong>${infeasible.length} task(s) cannot be finished before the deadline:</strong> ${infeasible.map(r => `${taskName(r)} (${r.shortfallMinutes} min short)`).join(', ')}</p>`;
+    }
+    if (atRisk.length > 0) {
+        content += `<p><strong>${atRisk.length} task(s) at risk:</strong> ${atRisk.map(r => `${taskName(r)} (${r.shortfallMinutes} min into buffer)`).join(', ')}</p>`;
+    }
+    banner.className = infeasible.length > 0 ? 'banner-infeasible' : 'banner-at-risk';
+    banner.innerHTML = content;
+    banner.style.display = 'block';
+}
+
+function displayCatchUpBanner() {
+    const banner = document.getElementById('catch-up-banner');
+    // A running timer counts as work, so its chunk isn't reported missed and its overrun shows live
+    const activeTimer = readActiveTimer();
+    const runningSessions = activeTimer
+        ? getTimerSegments(activeTimer, Date.now()).map(segment => new WorkSession(null, activeTimer.taskId, segment.startMillis, segment.endMillis))
+        : [];
+    const { missed, overruns, atRisk } = scheduler.reviewPlannedWork(Date.now(), runningSessions);
+
+    if (missed.length === 0 && overruns.length === 0) {
+        banner.style.display = 'none';
+        banner.innerHTML = '';
+        return;
+    }
+
+    const formatTime = millis => new Date(millis).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const formatDay = millis => new Date(millis).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    const taskName = taskId => escapeHtml(scheduler.tasks.find(t => t.id === taskId).name);
+    let content = '';
+    if (missed.length > 0) {
+        const missedMinutes = missed.reduce((sum, item) => sum + item.minutes, 0);
+        content += `<p><strong>${missed.length} planned chunk(s) missed (${missedMinutes} min):</strong> ${missed.map(item =>
+            `${escapeHtml(item.activity.name)} (${formatDay(item.activity.startMillis)} ${formatTime(item.activity.startMillis)} - ${formatTime(item.activity.endMillis)})` +
+            (item.displacedBy ? `, displaced by ${escapeHtml(item.displacedBy.name)}` : '')
+        ).join('; ')}</p>`;
+    }
+    if (overruns.length > 0) {
+        content += `<p><strong>${overruns.length} session(s) ran over:</strong> ${overruns.map(item =>
+            `${taskName(item.session.taskId)} (${item.minutes} min past ${formatTime(item.activity.endMillis)})`
+        ).join('; ')}</p>`;
+    }
+    if (atRisk.length > 0) {
+        content += `<p><strong>Deadlines now at risk:</strong> ${atRisk.map(report =>
+            `${taskName(report.taskId)} (${report.status === 'INFEASIBLE' ? `${report.shortfallMinutes} min short` : `${report.shortfallMinutes} min into buffer`})`
+        ).join(', ')}</p>`;
+    }
+    content += `
+        <button onclick="catchUpAndRefresh()">Catch Up</button>
+        <button class="secondary-btn" onclick="dismissMissedWorkAndRefresh()">Dismiss</button>
+    `;
+    banner.innerHTML = content;
+    banner.style.display = 'block';
+}
+
+function displayDailySchedule(date) {
+    document.getElementById('current-date').textContent = date.toLocaleDateString('en-US', {
+        weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+    });
+    displayFeasibilityBanner();
+    displayCatchUpBanner();
+    const scheduleContainer = document.getElementById('daily-schedule');
+    scheduleContainer.innerHTML = '';
+    scheduleContainer.classList.remove('timeline');
+    scheduleContainer.style.height = '';
+    displayedActivities = {};
+
+    const committedPlan = scheduler.getCommittedPlan(date);
+    const generatedSchedule = committedPlan || scheduler.generateDailySchedule(date);
+    displayPlanStatus(date, committedPlan !== null);
+
+    if (generatedSchedule.length === 0) {
+        scheduleContainer.innerHTML = '<p>No schedule generated for this day. Add some tasks and fixed blocks!</p>';
+        return;
+    }
+
+    // The timeline covers the working window, stretched to fit anything planned outside it
+    const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const workingWindow = scheduler.getWorkingWindow(getWeekdayName(date)) ||
+        { startHour: scheduler.settings.dayStartHour, endHour: scheduler.settings.dayEndHour };
+    const firstStartMinutes = Math.min(...generatedSchedule.map(a => (a.startMillis - dayStart.getTime()) / MILLIS_IN_MINUTE));
+    const lastEndMinutes = Math.max(...generatedSchedule.map(a => (a.endMillis - dayStart.getTime()) / MILLIS_IN_MINUTE));
+    const startHour = Math.max(0, Math.min(workingWindow.startHour, Math.floor(firstStartMinutes / 60)));
+    const endHour = Math.min(24, Math.max(workingWindow.endHour, Math.ceil(lastEndMinutes / 60)));
+    const timelineStartMillis = dayStart.getTime() + startHour * MILLIS_IN_HOUR;
+
+    scheduleContainer.classList.add('timeline');
+    scheduleContainer.style.height = `${(endHour - startHour) * 60 * TIMELINE_PIXELS_PER_MINUTE}px`;
+    for (let hour = startHour; hour < endHour; hour++) {
+        const hourLabel = document.createElement('div');
+        hourLabel.classList.add('timeline-hour');
+        hourLabel.style.top = `${(hour - startHour) * 60 * TIMELINE_PIXELS_PER_MINUTE}px`;
+        hourLabel.textContent = `${String(hour).padStart(2, '0')}:00`;
+        scheduleContainer.appendChild(hourLabel);
+    }
+
+    const fixedBlocks = generatedSchedule.filter(activity => activity.type === 'FIXED_BLOCK');
+
+    generatedSchedule.forEach(activity => {
+        displayedActivities[activity.id] = activity;
+        const activityDiv = document.createElement('div');
+        // Use a more generic class for styling and a specific one for type
+        activityDiv.classList.add('schedule-item', `schedule-item-${activity.type.toLowerCase().replace('_', '-')}`);
+        activityDiv.style.top = `${(activity.startMillis - timelineStartMillis) / MILLIS_IN_MINUTE * TIMELINE_PIXELS_PER_MINUTE}px`;
+        activityDiv.style.height = `${(activity.endMillis - activity.startMillis) / MILLIS_IN_MINUTE * TIMELINE_PIXELS_PER_MINUTE}px`;
+
+        const startTime = new Date(activity.startMillis).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const endTime = new Date(activity.endMillis).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        activityDiv.title = `${activity.name} (${startTime} - ${endTime})`;
+
+        let content = `<span><strong>${escapeHtml(activity.name)}</strong> (${startTime} - ${endTime})`;
+        if (activity.isPinned) {
+            content += ` <span class="badge badge-pinned">${activity.isLocked ? 'Locked' : 'Pinned'}</span>`;
+            // Pins are checked when they're placed, but a fixed block added later can still land on one
+            if (fixedBlocks.some(block => block.startMillis < activity.endMillis && block.endMillis > activity.startMillis)) {
+                activityDiv.classList.add('schedule-item-conflict');
+                content += ' <span class="badge badge-infeasible">Overlaps a fixed block</span>';
+            }
+        }
+        content += '</span><span class="schedule-item-actions">';
+
+        if (activity.type === 'TASK' && activity.taskId) {
+            const originalTask = scheduler.tasks.find(t => t.id === activity.taskId);
+            if (originalTask && !originalTask.isCompleted) {
+                content += `<button onclick="startTaskTimer('${activity.taskId}', '${activity.id}')">Start Task</button>`;
+                const subtask = originalTask.subtasks.find(st => st.id === activity.subtaskId);
+                if (subtask && !subtask.isCompleted) {
+                    content += `<button onclick="setSubtaskCompletedAndRefresh('${originalTask.id}', '${subtask.id}', true)">Step Done</button>`;
+                }
+            }
+        }
+        if (activity.type === 'REVISION' && activity.reviewItemId) {
+            content += getReviewRatingHtml(activity.reviewItemId);
+        }
+        if (activity.type === 'TASK' || activity.type === 'REVISION') {
+            if (!activity.isPinned) {
+                content += `<button class="secondary-btn" onclick="pinActivityAndRefresh('${activity.id}')">Pin</button>`;
+            } else if (activity.isLocked) {
+                content += `<button class="secondary-btn" onclick="setActivityLockedAndRefresh('${activity.id}', false)">Unlock</button>`;
+            } else {
+                content += `<button class="secondary-btn" onclick="setActivityLockedAndRefresh('${activity.id}', true)">Lock</button>`;
+                content += `<button class="secondary-btn" onclick="unpinActivityAndRefresh('${activity.id}')">Unpin</button>`;
+            }
+        }
+        content += '</span>';
+        activityDiv.innerHTML = content;
+
+        // Tasks and revision can be dragged to a new time or resized from the bottom edge, unless locked
+        if ((activity.type === 'TASK' || activity.type === 'REVISION') && !activity.isLocked) {
+            activityDiv.classList.add('schedule-item-draggable');
+            const resizeHandle = document.createElement('div');
+            resizeHandle.classList.add('resize-handle');
+            activityDiv.appendChild(resizeHandle);
+            enableActivityDrag(activityDiv, activity);
+        }
+        scheduleContainer.appendChild(activityDiv);
+    });
+}
+
+// Moves (or, from the resize handle, resizes) an activity with the pointer and pins it where it's dropped
+function enableActivityDrag(activityDiv, activity) {
+    activityDiv.addEventListener('pointerdown', event => {
+        if (event.target.tagName === 'BUTTON') return;
+        event.preventDefault();
+        const isResize = event.target.classList.contains('resize-handle');
+        const originY = event.clientY;
+        const originTop = activityDiv.offsetTop;
+        const originHeight = activityDiv.offsetHeight;
+        let deltaMinutes = 0;
+
+        const onMove = moveEvent => {
+            deltaMinutes = Math.round((moveEvent.clientY - originY) / TIMELINE_PIXELS_PER_MINUTE / TIMELINE_SNAP_MINUTES) * TIMELINE_SNAP_MINUTES;
+            if (isResize) {
+                activityDiv.style.height = `${Math.max(TIMELINE_SNAP_MINUTES * TIMELINE_PIXELS_PER_MINUTE, originHeight + deltaMinutes * TIMELINE_PIXELS_PER_MINUTE)}px`;
+            } else {
+                activityDiv.style.top = `${originTop + deltaMinutes * TIMELINE_PIXELS_PER_MINUTE}px`;
+            }
+        };
+        const onEnd = endEvent => {
+            activityDiv.removeEventListener('pointermove', onMove);
+            activityDiv.removeEventListener('pointerup', onEnd);
+            activityDiv.removeEventListener('pointercancel', onEnd);
+            activityDiv.classList.remove('dragging');
+            if (endEvent.type === 'pointercancel' || deltaMinutes === 0) {
+                displayDailySchedule(new Date());
+                return;
+            }
+
+            const snapMillis = TIMELINE_SNAP_MINUTES * MILLIS_IN_MINUTE;
+            const deltaMillis = deltaMinutes * MILLIS_IN_MINUTE;
+            if (isResize) {
+                const endMillis = Math.round((activity.endMillis + deltaMillis) / snapMillis) * snapMillis;
+                pinActivityAndRefresh(activity.id, activity.startMillis, Math.max(activity.startMillis + snapMillis, endMillis));
+            } else {
+                const startMillis = Math.round((activity.startMillis + deltaMillis) / snapMillis) * snapMillis;
+                pinActivityAndRefresh(activity.id, startMillis, startMillis + activity.endMillis - activity.startMillis);
+            }
+        };
+
+        activityDiv.setPointerCapture(event.pointerId);
+        activityDiv.classList.add('dragging');
+        activityDiv.addEventListener('pointermove', onMove);
+        activityDiv.addEventListener('pointerup', onEnd);
+        activityDiv.addEventListener('pointercancel', onEnd);
+    });
+}
+
+function displayPlanStatus(date, isCommitted) {
+    const status = document.getElementById('plan-status');
+    if (isCommitted) {
+        status.innerHTML = `
+            <span>Showing the committed plan for this day.</span>
+            <button onclick="recommitPlanAndRefresh()">Re-plan</button>
+            <button onclick="clearCommittedPlanAndRefresh()">Discard</button>
+        `;
+    } else {
+        status.innerHTML = `
+            <span>Suggested plan (not committed).</span>
+            <button onclick="commitPlanAndRefresh()">Commit Plan</button>
+        `;
+    }
+}
+
+function getMondayOf(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+}
+
+// Weekly grid of every fixed block, Monday to Sunday. Blocks that overlap sit side by side and are
+// highlighted, and the empty space shows the gaps left for tasks.
+function displayTimetable() {
+    const days = Array.from({ length: 7 }, (_, i) =>
+        new Date(timetableWeekStart.getFullYear(), timetableWeekStart.getMonth(), timetableWeekStart.getDate() + i));
+    const rangeOptions = { weekday: 'short', month: 'short', day: 'numeric' };
+    document.getElementById('timetable-range').textContent =
+        `${days[0].toLocaleDateString('en-US', rangeOptions)} - ${days[6].toLocaleDateString('en-US', rangeOptions)}`;
+
+    const todayStr = new Date().toDateString();
+    renderTimetable(document.getElementById('timetable-grid'), days.map(day => ({
+        heading: day.toLocaleDateString('en-US', { weekday: 'short', day: 'numeric' }),
+        dayStartMillis: day.getTime(),
+        isToday: day.toDateString() === todayStr,
+        intervals: scheduler.getFixedBlockIntervals(day).map(({ block, startMillis, endMillis }) =>
+            ({ startMillis, endMillis, label: block.description, title: `${block.description}: ${block.describeTimes()}` }))
+    })));
+}
+
+// Draws columns of timed boxes on a shared hour scale, covering the working day and any box outside it.
+// columns: [{ heading, dayStartMillis, isToday, intervals: [{ startMillis, endMillis, label, title, className }] }]
+function renderTimetable(container, columns) {
+    const minuteOfDay = (column, millis) => Math.round((millis - column.dayStartMillis) / MILLIS_IN_MINUTE);
+    let firstMinute = scheduler.settings.dayStartHour * 60;
+    let lastMinute = scheduler.settings.dayEndHour * 60;
+    columns.forEach(column => column.intervals.forEach(interval => {
+        firstMinute = Math.min(firstMinute, Math.floor(minuteOfDay(column, interval.startMillis) / 60) * 60);
+        lastMinute = Math.max(lastMinute, Math.ceil(minuteOfDay(column, interval.endMillis) / 60) * 60);
+    }));
+    const toPixels = minutes => (minutes - firstMinute) * TIMETABLE_PIXELS_PER_MINUTE;
+    const height = toPixels(lastMinute);
+    const hourHeight = 60 * TIMETABLE_PIXELS_PER_MINUTE;
+
+    let hoursHtml = '';
+    for (let minute = firstMinute; minute < lastMinute; minute += 60) {
+        hoursHtml += `<div class="timetable-hour" style="top: ${toPixels(minute)}px;">${String(minute / 60).padStart(2, '0')}:00</div>`;
+    }
+    let content = `<div class="timetable-corner"></div>`;
+    content += columns.map(column => `<div class="timetable-day-name">${escapeHtml(column.heading)}</div>`).join('');
+    content += `<div class="timetable-hours" style="height: ${height}px;">${hoursHtml}</div>`;
+
+    columns.forEach(column => {
+        // Give each box the first lane free at its start, so overlapping boxes sit side by side
+        const intervals = column.intervals.slice().sort((a, b) => a.startMillis - b.startMillis);
+        const laneEnds = [];
+        const placed = intervals.map(interval => {
+            let lane = laneEnds.findIndex(endMillis => endMillis <= interval.startMillis);
+            if (lane === -1) lane = laneEnds.length;
+            laneEnds[lane] = interval.endMillis;
+            const isClash = intervals.some(other => other !== interval
+                && other.startMillis < interval.endMillis && interval.startMillis < other.endMillis);
+            return { ...interval, lane, isClash };
+        });
+        const laneWidth = 100 / Math.max(1, laneEnds.length);
+
+        const boxesHtml = placed.map(({ startMillis, endMillis, label, title, className, lane, isClash }) => {
+            const top = toPixels(minuteOfDay(column, startMillis));
+            const boxHeight = (endMillis - startMillis) / MILLIS_IN_MINUTE * TIMETABLE_PIXELS_PER_MINUTE;
+            const classes = ['timetable-block', className, isClash ? 'timetable-clash' : ''].filter(Boolean).join(' ');
+            return `<div class="${classes}" title="${escapeHtml(title + (isClash ? ' - overlaps another block' : ''))}"
+                style="top: ${top}px; height: ${boxHeight}px; left: ${lane * laneWidth}%; width: ${laneWidth}%;">${escapeHtml(label)}</div>`;
+        }).join('');
+        content += `<div class="timetable-day${column.isToday ? ' today' : ''}"
+            style="height: ${height}px; background-size: 100% ${hourHeight}px;">${boxesHtml}</div>`;
+    });
+    container.style.gridTemplateColumns = `50px repeat(${columns.length}, 1fr)`;
+    container.innerHTML = content;
+}
+
+// --- Profiles ---
+
+function displayProfiles() {
+    const profiles = loadProfiles(localStorage);
+    if (!profiles.some(profile => profile.id === activeProfileId)) {
+        switchProfile(DEFAULT_PROFILE.id); // Deleted in another tab
+        return;
+    }
+    document.getElementById('profile-select').innerHTML = profiles.map(profile =>
+        `<option value="${profile.id}"${profile.id === activeProfileId ? ' selected' : ''}>${escapeHtml(profile.name)}</option>`).join('');
+    document.getElementById('delete-profile-btn').disabled = activeProfileId === DEFAULT_PROFILE.id;
+    displaySharedProfiles();
+}
+
+// Points the scheduler at another profile's data and redraws everything with it
+function switchProfile(profileId) {
+    activeProfileId = profileId;
+    saveActiveProfileId(localStorage, profileId);
+    scheduler.storage = createProfileStorage(localStorage, profileId);
+    sharedProfileIds.delete(profileId);
+    reloadFromStorage();
+    displayProfiles();
+    if (scheduler.loadErrors.length > 0) {
+        alert("Some saved data could not be loaded:\n\n" + scheduler.loadErrors.join('\n'));
+    }
+}
+
+function addProfileAndSwitch() {
+    const name = prompt("Name of the new profile:");
+    if (name === null) return;
+    const profile = addProfile(localStorage, name);
+    if (!profile) {
+        alert("Please choose a name that isn't empty or used by another profile.");
+        return;
+    }
+    switchProfile(profile.id);
+}
+
+function renameActiveProfile() {
+    const current = loadProfiles(localStorage).find(profile => profile.id === activeProfileId);
+    const name = prompt("New name for this profile:", current.name);
+    if (name === null) return;
+    if (!renameProfile(localStorage, activeProfileId, name)) {
+        alert("Please choose a name that isn't empty or used by another profile.");
+        return;
+    }
+    displayProfiles();
+}
+
+function deleteActiveProfile() {
+    const current = loadProfiles(localStorage).find(profile => profile.id === activeProfileId);
+    if (!confirm(`Delete the profile "${current.name}" with all of its tasks, fixed blocks and settings? This cannot be undone.`)) {
+        return;
+    }
+    deleteProfile(localStorage, activeProfileId);
+    switchProfile(DEFAULT_PROFILE.id);
+}
+
+// --- Shared Free Time ---
+
+// Checkboxes for the other profiles to compare with the active one
+function displaySharedProfiles() {
+    const profiles = loadProfiles(localStorage).filter(profile => profile.id !== activeProfileId);
+    const container = document.getElementById('shared-profiles');
+    if (profiles.length === 0) {
+        container.innerHTML = '<p>Add another profile to compare free time.</p>';
+    } else {
+        container.innerHTML = profiles.map(profile => `
+            <label><input type="checkbox" ${sharedProfileIds.has(profile.id) ? 'checked' : ''}
+                onchange="setSharedProfile('${profile.id}', this.checked)"> ${escapeHtml(profile.name)}</label>`).join('');
+    }
+    displaySharedFreeTime();
+}
+
+function setSharedProfile(profileId, isShared) {
+    if (isShared) {
+        sharedProfileIds.add(profileId);
+    } else {
+        sharedProfileIds.delete(profileId);
+    }
+    displaySharedFreeTime();
+}
+
+// Read-only overlay of the chosen profiles' fixed blocks on one day, with the time they all have free.
+// Other profiles are read fresh from storage and never saved.
+function displaySharedFreeTime() {
+    const dateInput = document.getElementById('shared-date');
+    const date = dateInput.value ? parseDateKey(dateInput.value) : new Date();
+    const minMinutes = Math.max(0, parseInt(document.getElementById('shared-min-minutes').value) || 0);
+    const profiles = loadProfiles(localStorage);
+    const others = profiles
+        .filter(profile => sharedProfileIds.has(profile.id) && profile.id !== activeProfileId)
+        .map(profile => {
+            const other = new Scheduler({ storage: createProfileStorage(localStorage, profile.id) });
+            other.loadData();
+            return { profile, scheduler: other };
+        });
+    const everyone = [{ profile: profiles.find(profile => profile.id === activeProfileId), scheduler }, ...others];
+
+    const freeSlots = scheduler.getCommonFreeSlots(others.map(other => other.scheduler), date, minMinutes);
+    const formatTime = millis => new Date(millis).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    document.getElementById('shared-free-slots').innerHTML = freeSlots.length === 0
+        ? `<li>No shared free time${minMinutes > 0 ? ` of ${minMinutes} minutes or more` : ''} on this day.</li>`
+        : freeSlots.map(slot => `<li>${formatTime(slot.start)} - ${formatTime(slot.end)} (${Math.round((slot.end - slot.start) / MILLIS_IN_MINUTE)} min)</li>`).join('');
+
+    const dayStartMillis = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+    const columns = everyone.map(({ profile, scheduler: profileScheduler }) => ({
+        heading: profile.name,
+        dayStartMillis,
+        intervals: profileScheduler.getFixedBlockIntervals(date).map(({ block, startMillis, endMillis }) =>
+            ({ startMillis, endMillis, label: block.description, title: `${profile.name}: ${block.description} ${block.describeTimes()}` }))
+    }));
+    columns.push({
+        heading: 'Free together',
+        dayStartMillis,
+        intervals: freeSlots.map(slot => ({
+            startMillis: slot.start, endMillis: slot.end, label: 'Free', className: 'timetable-free',
+            title: `Everyone is free ${formatTime(slot.start)} - ${formatTime(slot.end)}`
+        }))
+    });
+    renderTimetable(document.getElementById('shared-timeline'), columns);
+}
+
+function displayWeekPlan(startDate) {
+    const endDate = new Date(startDate);
+    endDate.setDate(endDate.getDate() + 6);
+    const rangeOptions = { weekday: 'short', month: 'short', day: 'numeric' };
+    document.getElementById('week-range').textContent =
+        `${startDate.toLocaleDateString('en-US', rangeOptions)} - ${endDate.toLocaleDateString('en-US', rangeOptions)}`;
+
+    const weekContainer = document.getElementById('week-plan');
+    weekContainer.innerHTML = '';
+
+    const plan = scheduler.generatePlan(startDate, endDate);
+    const todayStr = new Date().toDateString();
+
+    plan.days.forEach(day => {
+        const dayDiv = document.createElement('div');
+        dayDiv.classList.add('week-day');
+        if (day.date.toDateString() === todayStr) {
+            dayDiv.classList.add('today');
+        }
+
+        let content = `<h4>${day.date.toLocaleDateString('en-US', { weekday: 'short', day: 'numeric' })}</h4>`;
+        day.activities.forEach(activity => {
+            const startTime = new Date(activity.startMillis).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            content += `<div class="schedule-item schedule-item-${activity.type.toLowerCase().replace('_', '-')}">${startTime} <strong>${escapeHtml(activity.name)}</strong></div>`;
+        });
+        dayDiv.innerHTML = content;
+        weekContainer.appendChild(dayDiv);
+    });
+}
+
+// Re-renders the week plan and today's schedule after any data change
+function refreshSchedules() {
+    displayWeekPlan(weekStartDate);
+    displayDailySchedule(new Date());
+    scheduleNotifications();
+}
+
+function requestNotificationPermission() {
+    if (!('Notification' in window)) {
+        alert("This browser doesn't support notifications.");
+        return;
+    }
+    Notification.requestPermission().then(permission => {
+        if (permission === 'granted') {
+            scheduleNotifications();
+        } else {
+            alert("Notifications are blocked for this site. Allow them in the browser's site settings to get reminders.");
+        }
+    });
+}
+
+// Hands the reminders for the next SERVICE_WORKER_REMINDER_DAYS to the service worker, which shows them
+// with the tab closed where the browser allows, and times the next NOTIFICATION_WINDOW_HOURS of them in this
+// page too, replacing earlier timers. Turning reminders off clears the worker's list as well.
+function scheduleNotifications() {
+    notificationTimeouts.forEach(timeout => clearTimeout(timeout));
+    notificationTimeouts = [];
+    const isEnabled = scheduler.settings.notificationsEnabled && 'Notification' in window && Notification.permission === 'granted';
+    const nowMillis = Date.now();
+    const reminders = isEnabled ? getUpcomingNotifications(scheduler, nowMillis, nowMillis + SERVICE_WORKER_REMINDER_DAYS * MILLIS_IN_DAY) : [];
+    postToServiceWorker({ type: 'schedule-reminders', reminders });
+    reminders
+        .filter(notification => notification.atMillis < nowMillis + NOTIFICATION_WINDOW_HOURS * MILLIS_IN_HOUR)
+        .forEach(notification => {
+            notificationTimeouts.push(setTimeout(() => showNotification(notification), notification.atMillis - nowMillis));
+        });
+}
+
+// Lets browsers with periodic background sync (e.g. Chrome for an installed app) wake the service worker
+// now and then to show reminders while the app is closed
+function registerReminderSync(registration) {
+    if (!('periodicSync' in registration)) {
+        return;
+    }
+    registration.periodicSync.register('reminders', { minInterval: REMINDER_SYNC_MINUTES * MILLIS_IN_MINUTE })
+        .catch(err => console.warn("Periodic background sync is not available:", err));
+}
+
+// Resolves to true once the message is posted, or false when there is no active service worker
+function postToServiceWorker(message) {
+    if (!('serviceWorker' in navigator)) {
+        return Promise.resolve(false);
+    }
+    return navigator.serviceWorker.getRegistration().then(registration => {
+        const worker = registration && registration.active;
+        if (worker) {
+            worker.postMessage(message);
+        }
+        return Boolean(worker);
+    });
+}
+
+// The service worker shows the reminder where there is one, so a reminder it already showed (with the tab
+// closed, through a trigger, or for another tab) isn't shown twice and clicking it brings the app forward
+function showNotification(notification) {
+    postToServiceWorker({ type: 'show-due-reminders' }).then(posted => {
+        if (!posted) {
+            new Notification(notification.title, { body: notification.body, tag: notification.id });
+        }
+    });
+}
+
+// Returns { startDate, endDate } from the report form, or null (after telling the user) if it's invalid
+function getReportRange() {
+    const startValue = document.getElementById('report-start').value;
+    const endValue = document.getElementById('report-end').value;
+    if (!startValue || !endValue || startValue > endValue) {
+        alert("Please choose a report range that ends on or after its start.");
+        return null;
+    }
+    return { startDate: parseDateKey(startValue), endDate: parseDateKey(endValue) };
+}
+
+function displayAnalyticsReport() {
+    const container = document.getElementById('analytics-report');
+    const range = getReportRange();
+    if (!range) return;
+    const report = buildAnalyticsReport(scheduler, range.startDate, range.endDate);
+    const { totals } = report;
+    const percent = (part, whole) => whole > 0 ? `${Math.round(part / whole * 100)}%` : 'n/a';
+    const completedCount = report.onTimeCount + report.lateCount;
+
+    const stat = (label, value) => `<div class="report-stat"><strong>${value}</strong>${label}</div>`;
+    let html = `<div class="report-summary">
+        ${stat('planned task minutes', totals.plannedMinutes)}
+        ${stat('worked minutes', totals.workedMinutes)}
+        ${stat('of planned time worked', percent(totals.workedMinutes, totals.plannedMinutes))}
+        ${stat(`completed on time (${report.onTimeCount} of ${completedCount})`, percent(report.onTimeCount, completedCount))}
+        ${stat('day streak (longest: ' + report.longestStreakDays + ')', report.currentStreakDays)}
+        ${stat('of planned review time used', percent(totals.revisionUsedMinutes, totals.revisionPlannedMinutes))}
+    </div>`;
+
+    // Planned vs. worked per day, as pairs of bars on a shared scale
+    const dayScale = Math.max(1, ...report.days.map(day => Math.max(day.plannedMinutes, day.workedMinutes)));
+    const bar = (minutes, scale, kind) =>
+        `<div class="report-bar report-bar-${kind}" style="width: ${minutes / scale * 100}%" title="${minutes} min"></div>`;
+    html += `<h4>Planned vs. Worked per Day</h4>
+        <div class="report-legend"><span><span class="report-bar report-bar-planned"></span> planned</span>
+        <span><span class="report-bar report-bar-worked"></span> worked</span></div>
+        <div class="report-chart">${report.days.map(day => `
+            <div class="report-chart-row">
+                <span>${parseDateKey(day.dateKey).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}</span>
+                <div>${bar(day.plannedMinutes, dayScale, 'planned')}${bar(day.workedMinutes, dayScale, 'worked')}</div>
+            </div>`).join('')}
+        </div>`;
+
+    const breakdown = (title, minutesByKey) => {
+        const scale = Math.max(1, ...Object.values(minutesByKey));
+        return `<h4>${title}</h4><div class="report-chart">${Object.entries(minutesByKey).map(([key, minutes]) => `
+            <div class="report-chart-row"><span>${key} (${minutes} min)</span><div>${bar(minutes, scale, 'worked')}</div></div>`).join('')}
+        </div>`;
+    };
+    html += breakdown('Time Worked by Task Type', report.minutesByType);
+    html += breakdown('Time Worked by Priority', report.minutesByPriority);
+
+    if (report.completions.length > 0) {
+        html += `<h4>Completed Tasks</h4><ul>${report.completions.map(completion => `
+            <li>${escapeHtml(completion.name)}: ${completion.isLate ? '<span class="badge badge-infeasible">Late</span>' : '<span class="badge badge-on-track">On time</span>'}
+            <small>(done ${completion.completedAt.toLocaleString()}, due ${completion.deadline.toLocaleString()})</small></li>`).join('')}
+        </ul>`;
+    }
+    container.innerHTML = html;
+}
+
+function downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// --- Action Handlers (called from HTML buttons) ---
+
+function markTaskCompletedAndRefresh(taskId) {
+    if (scheduler.markTaskCompleted(taskId)) {
+        refreshAfterTaskChange(); // Also queues completed study and homework tasks for review
+    }
+}
+
+function addSubtaskAndRefresh(taskId) {
+    const name = document.getElementById(`subtask-new-name-${taskId}`).value.trim();
+    const minutes = parseInt(document.getElementById(`subtask-new-minutes-${taskId}`).value);
+    const deadlineValue = document.getElementById(`subtask-new-deadline-${taskId}`).value;
+    if (!name) {
+        alert("Please give the step a name.");
+        return;
+    }
+    if (isNaN(minutes) || minutes <= 0) {
+        alert("Please enter the step's estimated time in minutes (must be a positive number).");
+        return;
+    }
+    // A date-only deadline means the end of that day
+    const deadline = deadlineValue ? new Date(`${deadlineValue}T23:59`) : null;
+    scheduler.addSubtask(taskId, new Subtask(null, name, minutes, false, deadline));
+    refreshAfterTaskChange();
+}
+
+function setSubtaskCompletedAndRefresh(taskId, subtaskId, isCompleted) {
+    if (scheduler.setSubtaskCompleted(taskId, subtaskId, isCompleted)) {
+        refreshAfterTaskChange();
+    }
+}
+
+function deleteSubtaskAndRefresh(taskId, subtaskId) {
+    if (confirm("Remove this step from the task?")) {
+        scheduler.deleteSubtask(taskId, subtaskId);
+        refreshAfterTaskChange();
+    }
+}
+
+function rateReviewAndRefresh(itemId, rating) {
+    const item = scheduler.rateReview(itemId, rating);
+    if (item) {
+        displayReviewQueue();
+        refreshSchedules();
+    }
+}
+
+function deleteReviewItemAndRefresh(itemId) {
+    if (confirm("Remove this topic from the review queue?")) {
+        scheduler.deleteReviewItem(itemId);
+        displayReviewQueue();
+        refreshSchedules();
+    }
+}
+
+function commitPlanAndRefresh() {
+    scheduler.commitPlan(new Date());
+    displayDailySchedule(new Date());
+}
+
+function recommitPlanAndRefresh() {
+    if (!confirm("Replace the committed plan for today with a new one?")) {
+        return;
+    }
+    commitPlanAndRefresh();
+}
+
+function clearCommittedPlanAndRefresh() {
+    scheduler.clearCommittedPlan(new Date());
+    displayDailySchedule(new Date());
+}
+
+// Pins an activity from the daily schedule, at a new time or (without times) where it is now
+function pinActivityAndRefresh(activityId, startMillis, endMillis) {
+    const activity = displayedActivities[activityId];
+    if (!activity) return;
+    startMillis = startMillis ?? activity.startMillis;
+    endMillis = endMillis ?? activity.endMillis;
+
+    const conflicts = scheduler.findPinConflicts(startMillis, endMillis, activity.id);
+    if (conflicts.length > 0) {
+        alert(`"${activity.name}" can't go there, it would overlap: ${conflicts.join(', ')}.`);
+        displayDailySchedule(new Date());
+        return;
+    }
+    if (!scheduler.pinActivity(activity, startMillis, endMillis)) {
+        alert(`"${activity.name}" is locked. Unlock it before moving it.`);
+        displayDailySchedule(new Date());
+        return;
+    }
+    refreshAfterPinChange();
+}
+
+function unpinActivityAndRefresh(activityId) {
+    if (scheduler.unpinActivity(activityId)) {
+        refreshAfterPinChange();
+    }
+}
+
+function setActivityLockedAndRefresh(activityId, isLocked) {
+    scheduler.setActivityLocked(activityId, isLocked);
+    refreshAfterPinChange();
+}
+
+// Reflows the plan around the changed pins. A committed plan for today is re-committed so it shows the edit.
+function refreshAfterPinChange() {
+    if (scheduler.getCommittedPlan(new Date())) {
+        scheduler.commitPlan(new Date());
+    }
+    displayPendingTasks();
+    refreshSchedules();
+}
+
+function catchUpAndRefresh() {
+    const { missed, atRisk } = scheduler.catchUp();
+    const missedMinutes = missed.reduce((sum, item) => sum + item.minutes, 0);
+    let message = `Replanned ${missedMinutes} missed minute(s) into the next free time.`;
+    if (atRisk.length > 0) {
+        const taskName = taskId => scheduler.tasks.find(t => t.id === taskId).name;
+        message += `\n\nThese deadlines are at risk:\n${atRisk.map(report =>
+            `- ${taskName(report.taskId)}: ${report.status === 'INFEASIBLE' ? 'cannot be finished in time' : 'only fits by using the buffer'}`
+        ).join('\n')}`;
+    }
+    alert(message);
+    displayPendingTasks();
+    refreshSchedules();
+}
+
+function dismissMissedWorkAndRefresh() {
+    scheduler.dismissMissedWork();
+    displayCatchUpBanner();
+}
+
+function logWorkAndRefresh(taskId) {
+    const input = prompt("How many minutes did you work on this task?");
+    if (input === null) return;
+    const minutes = parseInt(input);
+    if (isNaN(minutes) || minutes <= 0) {
+        alert("Please enter a positive number of minutes.");
+        return;
+    }
+    scheduler.logWork(taskId, minutes);
+    refreshAfterTaskChange();
+}
+
+function addPrerequisiteAndRefresh(taskId, prerequisiteId) {
+    if (!prerequisiteId) return;
+    if (scheduler.wouldCreateCycle(taskId, prerequisiteId)) {
+        alert("This link would create a cycle: the selected task already depends on this one.");
+        displayPendingTasks();
+        return;
+    }
+    scheduler.addPrerequisite(taskId, prerequisiteId);
+    displayPendingTasks();
+    refreshSchedules();
+}
+
+function removePrerequisiteAndRefresh(taskId, prerequisiteId) {
+    scheduler.removePrerequisite(taskId, prerequisiteId);
+    displayPendingTasks();
+    refreshSchedules();
+}
+
+function addFixedBlockExceptionAndRefresh(blockId) {
+    const dateKey = prompt("Skip this block on which date? (YYYY-MM-DD)", formatDateKey(new Date()));
+    if (dateKey === null) return;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey) || isNaN(parseDateKey(dateKey).getTime())) {
+        alert("Please enter the date as YYYY-MM-DD.");
+        return;
+    }
+    scheduler.addFixedBlockException(blockId, dateKey);
+    displayFixedBlocks();
+    displayPendingTasks();
+    refreshSchedules();
+}
+
+function removeFixedBlockExceptionAndRefresh(blockId, dateKey) {
+    scheduler.removeFixedBlockException(blockId, dateKey);
+    displayFixedBlocks();
+    displayPendingTasks();
+    refreshSchedules();
+}
+
+// Refreshes every view that shows task progress after the session history changes
+function refreshAfterTaskChange() {
+    displayEstimateAccuracy(); // Changes as tasks complete
+    displayTaskLists();
+    displayReviewQueue();
+    refreshSchedules();
+}
+
+function displayTaskLists() {
+    displayPendingTasks();
+    if (document.getElementById('all-tasks-section').style.display === 'block') {
+        displayAllTasks();
+    }
+}
+
+function addWorkSessionAndRefresh(taskId) {
+    const start = new Date(document.getElementById(`session-new-start-${taskId}`).value);
+    const minutes = parseInt(document.getElementById(`session-new-minutes-${taskId}`).value);
+    if (isNaN(start.getTime()) || isNaN(minutes) || minutes <= 0) {
+        alert("Please enter a start time and a positive number of minutes.");
+        return;
+    }
+    if (start.getTime() + minutes * 60 * 1000 > Date.now()) {
+        alert("A work session cannot end in the future.");
+        return;
+    }
+    scheduler.addWorkSession(new WorkSession(null, taskId, start.getTime(), start.getTime() + minutes * 60 * 1000, 'Logged manually'));
+    refreshAfterTaskChange();
+}
+
+function updateWorkSessionAndRefresh(sessionId) {
+    const start = new Date(document.getElementById(`session-start-${sessionId}`).value);
+    const minutes = parseInt(document.getElementById(`session-minutes-${sessionId}`).value);
+    if (isNaN(start.getTime()) || isNaN(minutes) || minutes <= 0) {
+        alert("Please enter a start time and a positive number of minutes.");
+        return;
+    }
+    scheduler.updateWorkSession(sessionId, start.getTime(), start.getTime() + minutes * 60 * 1000);
+    refreshAfterTaskChange();
+}
+
+function deleteWorkSessionAndRefresh(sessionId) {
+    if (!confirm("Delete this work session?")) return;
+    scheduler.deleteWorkSession(sessionId);
+    refreshAfterTaskChange();
+}
+
+function deleteFixedBlockAndRefresh(blockId) {
+    scheduler.deleteFixedBlock(blockId);
+    displayFixedBlocks();
+    displayPendingTasks();
+    refreshSchedules();
+}
+
+function deleteTaskAndRefresh(taskId) {
+    scheduler.deleteTask(taskId);
+    displayTaskLists();
+    refreshSchedules();
+}
+
+// --- Timer Logic ---
+// The running timer is kept in the active profile's storage, so it survives reloads and closed tabs,
+// and every open tab on that profile shows the same one. Worked time is always measured from stored
+// timestamps, never by counting ticks, so throttled background tabs stay accurate. Stored shape:
+// {
+//   taskId, plannedMinutes,                 // plannedMinutes: length of the scheduled chunk, for the progress ring
+//   segments: [{ startMillis, endMillis }], // finished stretches of work
+//   segmentStartMillis,                     // start of the stretch being worked now, null while paused or on a break
+//   mode: 'FREE' | 'POMODORO',
+//   phase: 'FOCUS' | 'BREAK', breakEndMillis, focusStartWorkedMillis, focusCount // Pomodoro only
+// }
+
+function startTaskTimer(taskId, activityId = null) {
+    const task = scheduler.tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    // Another tab may have started a timer since this one last looked
+    const activeTimer = readActiveTimer();
+    if (activeTimer) {
+        if (activeTimer.taskId === taskId) {
+            alert("A timer is already running for this task.");
+            return;
+        }
+        const runningTask = scheduler.tasks.find(t => t.id === activeTimer.taskId);
+        if (!confirm(`A timer is already running for "${runningTask ? runningTask.name : 'another task'}". Stop it and start this one?`)) {
+            return;
+        }
+        stopTimer();
+    }
+
+    // Started from the schedule, the ring measures against that chunk; otherwise against a full-length chunk
+    const activity = activityId ? displayedActivities[activityId] : null;
+    const plannedMinutes = activity
+        ? Math.round((activity.endMillis - activity.startMillis) / MILLIS_IN_MINUTE)
+        : Math.max(1, Math.min(task.remainingMinutes, scheduler.settings.chunkMinutes));
+    const now = Date.now();
+    const timer = { taskId, plannedMinutes, segments: [], segmentStartMillis: now, mode: 'FREE' };
+    if (scheduler.settings.pomodoroByDefault) {
+        startPomodoroFocus(timer, now);
+    }
+    prepareTimerSound(); // Browsers only allow audio that a click started
+    writeActiveTimer(timer);
+    syncTimerFromStorage();
+}
+
+function stopTimer() {
+    // The stored timer is the one that counts, whichever tab started it
+    const activeTimer = readActiveTimer();
+    scheduler.storage.removeItem('activeTimer');
+
+    if (activeTimer && scheduler.tasks.some(t => t.id === activeTimer.taskId)) {
+        advancePomodoro(activeTimer, Date.now());
+        // Every stretch of work is kept as a work session (stretches under a minute are discarded). IDs come
+        // from the start times, so a timer stopped in two tabs at once is only recorded once.
+        getTimerSegments(activeTimer, Date.now()).forEach(segment => {
+            const sessionId = `ws_timer_${segment.startMillis}`;
+            if (segment.endMillis - segment.startMillis >= MILLIS_IN_MINUTE && !scheduler.workSessions.some(session => session.id === sessionId)) {
+                scheduler.addWorkSession(new WorkSession(sessionId, activeTimer.taskId, segment.startMillis, segment.endMillis, 'Timer'));
+            }
+        });
+        refreshAfterTaskChange();
+    }
+    syncTimerFromStorage();
+}
+
+// Pauses a running timer; on a Pomodoro break it ends the break early instead
+function togglePauseTimer() {
+    const timer = readActiveTimer();
+    if (!timer) return;
+    const now = Date.now();
+    advancePomodoro(timer, now);
+
+    if (timer.mode === 'POMODORO' && timer.phase === 'BREAK') {
+        startPomodoroFocus(timer, now);
+        playTimerSound('FOCUS');
+    } else if (timer.segmentStartMillis === null) {
+        timer.segmentStartMillis = now;
+    } else {
+        closeTimerSegment(timer, now);
+    }
+    writeActiveTimer(timer);
+    syncTimerFromStorage();
+}
+
+function togglePomodoroMode() {
+    const timer = readActiveTimer();
+    if (!timer) return;
+    const now = Date.now();
+    advancePomodoro(timer, now);
+
+    if (timer.mode === 'POMODORO') {
+        // Leaving Pomodoro mode on a break goes straight back to work
+        if (timer.phase === 'BREAK') {
+            timer.segmentStartMillis = now;
+        }
+        timer.mode = 'FREE';
+    } else {
+        prepareTimerSound();
+        startPomodoroFocus(timer, now);
+        if (timer.segmentStartMillis === null) {
+            timer.segmentStartMillis = now;
+        }
+    }
+    writeActiveTimer(timer);
+    syncTimerFromStorage();
+}
+
+// Returns the running timer in the shape described above, or null
+function readActiveTimer() {
+    let saved;
+    try {
+        saved = JSON.parse(scheduler.storage.getItem('activeTimer'));
+    } catch (e) {
+        return null;
+    }
+    if (!saved || !saved.taskId) {
+        return null;
+    }
+    if (saved.segments) {
+        return saved;
+    }
+    // Older versions only stored when the timer started (earlier still as a date string)
+    const startMillis = saved.startMillis ?? new Date(saved.startTime).getTime();
+    if (isNaN(startMillis)) {
+        return null;
+    }
+    const task = scheduler.tasks.find(t => t.id === saved.taskId);
+    const plannedMinutes = task ? Math.max(1, Math.min(task.remainingMinutes, scheduler.settings.chunkMinutes)) : scheduler.settings.chunkMinutes;
+    return { taskId: saved.taskId, plannedMinutes, segments: [], segmentStartMillis: startMillis, mode: 'FREE' };
+}
+
+function writeActiveTimer(timer) {
+    scheduler.storage.setItem('activeTimer', JSON.stringify(timer));
+}
+
+// Finished stretches of work plus the one still running, cut off at atMillis
+function getTimerSegments(timer, atMillis) {
+    const segments = [...timer.segments];
+    if (timer.segmentStartMillis !== null && atMillis > timer.segmentStartMillis) {
+        segments.push({ startMillis: timer.segmentStartMillis, endMillis: atMillis });
+    }
+    return segments;
+}
+
+function getTimerWorkedMillis(timer, atMillis) {
+    return getTimerSegments(timer, atMillis).reduce((total, segment) => total + segment.endMillis - segment.startMillis, 0);
+}
+
+function closeTimerSegment(timer, endMillis) {
+    if (timer.segmentStartMillis !== null && endMillis > timer.segmentStartMillis) {
+        timer.segments.push({ startMillis: timer.segmentStartMillis, endMillis });
+    }
+    timer.segmentStartMillis = null;
+}
+
+function startPomodoroFocus(timer, atMillis) {
+    timer.mode = 'POMODORO';
+    timer.phase = 'FOCUS';
+    timer.breakEndMillis = null;
+    timer.focusCount = timer.focusCount || 0;
+    if (timer.segmentStartMillis === null) {
+        timer.segmentStartMillis = atMillis;
+    }
+    timer.focusStartWorkedMillis = getTimerWorkedMillis(timer, atMillis);
+}
+
+// Moves a Pomodoro timer through every focus/break switch due by nowMillis, at the moment each was due,
+// so a tab that was asleep catches up correctly. Returns the phases entered, in order.
+function advancePomodoro(timer, nowMillis) {
+    const settings = scheduler.settings;
+    const enteredPhases = [];
+    while (timer.mode === 'POMODORO') {
+        if (timer.phase === 'FOCUS' && timer.segmentStartMillis !== null) {
+            const focusMillis = settings.pomodoroFocusMinutes * MILLIS_IN_MINUTE;
+            const focusedMillis = getTimerWorkedMillis(timer, nowMillis) - timer.focusStartWorkedMillis;
+            if (focusedMillis < focusMillis) break;
+
+            const focusEndMillis = nowMillis - (focusedMillis - focusMillis);
+            closeTimerSegment(timer, focusEndMillis);
+            timer.focusCount++;
+            const isLongBreak = settings.chunksBeforeLongBreak > 0 && timer.focusCount % settings.chunksBeforeLongBreak === 0;
+            timer.phase = 'BREAK';
+            timer.breakEndMillis = focusEndMillis + (isLongBreak ? settings.longBreakMinutes : settings.shortBreakMinutes) * MILLIS_IN_MINUTE;
+            enteredPhases.push('BREAK');
+        } else if (timer.phase === 'BREAK' && nowMillis >= timer.breakEndMillis) {
+            startPomodoroFocus(timer, timer.breakEndMillis);
+            enteredPhases.push('FOCUS');
+        } else {
+            break;
+        }
+    }
+    return enteredPhases;
+}
+
+// Shows the stored timer in this tab, or hides the display if no timer is running
+function syncTimerFromStorage() {
+    clearInterval(timerInterval);
+    timerInterval = null;
+
+    const activeTimer = readActiveTimer();
+    const task = activeTimer && scheduler.tasks.find(t => t.id === activeTimer.taskId);
+    if (!task) {
+        currentTaskId = null;
+        document.getElementById('task-timer-display').style.display = 'none';
+        return;
+    }
+
+    currentTaskId = task.id;
+    document.getElementById('timer-task-name').textContent = `Timer: ${task.name}`;
+    document.getElementById('task-timer-display').style.display = 'block';
+    updateTimerDisplay();
+    timerInterval = setInterval(updateTimerDisplay, 1000);
+}
+
+function updateTimerDisplay() {
+    const timer = readActiveTimer();
+    const task = timer && scheduler.tasks.find(t => t.id === timer.taskId);
+    if (!task) return;
+
+    const now = Date.now();
+    const enteredPhases = advancePomodoro(timer, now);
+    if (enteredPhases.length > 0) {
+        writeActiveTimer(timer);
+        playTimerSound(enteredPhases[enteredPhases.length - 1]);
+    }
+
+    const formatClock = millis => {
+        const totalSeconds = Math.max(0, Math.floor(millis / 1000));
+        return `${String(Math.floor(totalSeconds / 60)).padStart(2, '0')}:${String(totalSeconds % 60).padStart(2, '0')}`;
+    };
+    const workedMillis = getTimerWorkedMillis(timer, now);
+    const isPaused = timer.segmentStartMillis === null;
+    const isOnBreak = timer.mode === 'POMODORO' && timer.phase === 'BREAK';
+
+    const phaseElement = document.getElementById('timer-phase');
+    if (isOnBreak) {
+        phaseElement.textContent = `Break: ${formatClock(timer.breakEndMillis - now)} left`;
+    } else if (timer.mode === 'POMODORO') {
+        const focusLeftMillis = scheduler.settings.pomodoroFocusMinutes * MILLIS_IN_MINUTE - (workedMillis - timer.focusStartWorkedMillis);
+        phaseElement.textContent = `Focus: ${formatClock(focusLeftMillis)} left${isPaused ? ' (paused)' : ''}`;
+    } else {
+        phaseElement.textContent = isPaused ? 'Paused' : '';
+    }
+
+    // The ring fills over the planned chunk and turns red once work runs past it
+    const progress = workedMillis / (timer.plannedMinutes * MILLIS_IN_MINUTE);
+    const ring = document.getElementById('timer-ring-progress');
+    const circumference = 2 * Math.PI * ring.r.baseVal.value;
+    ring.style.strokeDasharray = circumference;
+    ring.style.strokeDashoffset = circumference * (1 - Math.min(progress, 1));
+    ring.classList.toggle('timer-ring-over', progress > 1);
+    document.getElementById('timer-ring-label').textContent = formatClock(workedMillis);
+
+    document.getElementById('timer-remaining').textContent =
+        `${Math.round(workedMillis / MILLIS_IN_MINUTE)} of ${timer.plannedMinutes} planned min · ${Math.max(0, task.remainingMinutes - Math.floor(workedMillis / MILLIS_IN_MINUTE))} min left on task`;
+    document.getElementById('pause-timer-btn').textContent = isOnBreak ? 'Skip Break' : (isPaused ? 'Resume' : 'Pause');
+    document.getElementById('pomodoro-timer-btn').textContent = timer.mode === 'POMODORO' ? 'Free Timer' : 'Pomodoro';
+}
+
+// --- Timer Sounds ---
+
+let timerAudioContext = null;
+
+function prepareTimerSound() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    timerAudioContext = timerAudioContext || new AudioContextClass();
+    timerAudioContext.resume();
+}
+
+// Rising tones when focus starts, falling tones when a break starts
+function playTimerSound(phase) {
+    if (!scheduler.settings.timerSoundsEnabled || !timerAudioContext) return;
+    const frequencies = phase === 'FOCUS' ? [523, 659, 784] : [784, 659, 523];
+    frequencies.forEach((frequency, index) => {
+        const oscillator = timerAudioContext.createOscillator();
+        const gain = timerAudioContext.createGain();
+        const startAt = timerAudioContext.currentTime + index * 0.2;
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.2, startAt);
+        gain.gain.exponentialRampToValueAtTime(0.001, startAt + 0.18);
+        oscillator.connect(gain).connect(timerAudioContext.destination);
+        oscillator.start(startAt);
+        oscillator.stop(startAt + 0.2);
+    });
+}
+
+// --- Idle Detection ---
+// Time with no input on the page (or with the page hidden) while a timer runs may not have been work.
+// The last input is shared through localStorage, so working in another tab of the app isn't idle time.
+
+const IDLE_ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+const IDLE_ACTIVITY_SAVE_SECONDS = 30; // How often the last input time is shared with other tabs
+
+let lastActivityMillis = Date.now();
+
+function noteUserActivity() {
+    const now = Date.now();
+    const sharedActivityMillis = parseInt(localStorage.getItem('lastActivityMillis')) || 0;
+    const idleSinceMillis = Math.max(lastActivityMillis, sharedActivityMillis);
+    lastActivityMillis = now;
+    if (now - sharedActivityMillis >= IDLE_ACTIVITY_SAVE_SECONDS * 1000) {
+        localStorage.setItem('lastActivityMillis', now);
+    }
+
+    const idleMinutes = scheduler.settings.idleMinutes;
+    if (idleMinutes > 0 && now - idleSinceMillis >= idleMinutes * MILLIS_IN_MINUTE) {
+        offerToDiscardIdleTime(idleSinceMillis);
+    }
+}
+
+function offerToDiscardIdleTime(idleSinceMillis) {
+    const timer = readActiveTimer();
+    const task = timer && scheduler.tasks.find(t => t.id === timer.taskId);
+    if (!task) return;
+    const now = Date.now();
+    advancePomodoro(timer, now);
+    const idleMillis = getTimerWorkedMillis(timer, now) - getTimerWorkedMillis(clipTimerAt(timer, idleSinceMillis), now);
+    if (idleMillis < scheduler.settings.idleMinutes * MILLIS_IN_MINUTE) {
+        return; // The timer was paused or on a break for most of it
+    }
+
+    const keep = confirm(`You were away for ${Math.round(idleMillis / MILLIS_IN_MINUTE)} minutes while the timer for "${task.name}" was running.\n\nOK keeps that time as work, Cancel discards it.`);
+    if (keep) return;
+
+    // Re-read in case another tab changed the timer while the question was open
+    const latestTimer = readActiveTimer();
+    if (!latestTimer || latestTimer.taskId !== timer.taskId) return;
+    const discardedTimer = clipTimerAt(latestTimer, idleSinceMillis);
+    discardedTimer.segmentStartMillis = Date.now();
+    if (discardedTimer.mode === 'POMODORO') {
+        startPomodoroFocus(discardedTimer, discardedTimer.segmentStartMillis);
+    }
+    writeActiveTimer(discardedTimer);
+    syncTimerFromStorage();
+}
+
+// A copy of the timer with all work after cutoffMillis removed, left paused
+function clipTimerAt(timer, cutoffMillis) {
+    const segments = getTimerSegments(timer, Math.max(cutoffMillis, timer.segmentStartMillis ?? 0))
+        .filter(segment => segment.startMillis < cutoffMillis)
+        .map(segment => ({ startMillis: segment.startMillis, endMillis: Math.min(segment.endMillis, cutoffMillis) }));
+    return { ...timer, segments, segmentStartMillis: null };
+}
+
+// --- Cross-Tab Sync ---
+
+function handleStorageChange(event) {
+    if (event.key === getProfileKey(activeProfileId, 'activeTimer')) {
+        syncTimerFromStorage();
+        return;
+    }
+    if (event.key === 'profiles') {
+        displayProfiles();
+        return;
+    }
+    const isDataOf = profileId => ['schemaVersion', ...STORED_COLLECTIONS.map(collection => collection.key)]
+        .some(key => event.key === getProfileKey(profileId, key));
+    if (!isDataOf(activeProfileId)) {
+        if ([...sharedProfileIds].some(isDataOf)) {
+            displaySharedFreeTime();
+        }
+        return;
+    }
+    clearTimeout(pendingStorageReload);
+    pendingStorageReload = setTimeout(reloadFromStorage, 100);
+}
+
+function reloadFromStorage() {
+    scheduler.loadData();
+    displaySettings();
+    displayFixedBlocks();
+    displayTaskLists();
+    displayReviewQueue();
+    refreshSchedules();
+    syncTimerFromStorage();
+}
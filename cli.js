@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+// cli.js
+
+// Prints the schedule for one day from a backup file downloaded from the app (Backup & Restore > Download Backup):
+//   node cli.js <backup.json> [YYYY-MM-DD] [--now <date and time>]
+// Without a date it prints today. --now sets the time planning starts from, e.g. 2030-01-07T09:30
+// (defaults to the real time). A day with a committed plan prints that plan; other days are planned fresh.
+
+const fs = require('fs');
+const { Scheduler, createMemoryStorage, formatDateKey, parseDateKey } = require('./scheduler.js');
+
+const USAGE = 'Usage: node cli.js <backup.json> [YYYY-MM-DD] [--now <date and time>]';
+
+const ACTIVITY_LABELS = { TASK: 'Task', BREAK: 'Break', FIXED_BLOCK: 'Fixed', REVISION: 'Review' };
+
+// Returns { file, date, nowMillis }. Throws with a message for the user on bad arguments.
+function parseArguments(args) {
+    const positional = [];
+    let nowMillis = Date.now();
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--now') {
+            nowMillis = new Date(args[++i]).getTime();
+            if (isNaN(nowMillis)) {
+                throw new Error(`--now needs a date and time, like 2030-01-07T09:30.\n${USAGE}`);
+            }
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    if (positional.length < 1 || positional.length > 2) {
+        throw new Error(USAGE);
+    }
+
+    const [file, dateKey] = positional;
+    if (dateKey !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) {
+        throw new Error(`The date must look like 2030-01-07, not "${dateKey}".\n${USAGE}`);
+    }
+    // Date rolls impossible days over into the next month, so 2030-02-31 would quietly become 2030-03-03
+    if (dateKey !== undefined && formatDateKey(parseDateKey(dateKey)) !== dateKey) {
+        throw new Error(`There is no date ${dateKey}.\n${USAGE}`);
+    }
+    return { file, date: dateKey ? parseDateKey(dateKey) : new Date(nowMillis), nowMillis };
+}
+
+function formatTime(millis) {
+    const date = new Date(millis);
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+function formatSchedule(date, activities, isCommitted) {
+    const weekday = date.toLocaleDateString('en-US', { weekday: 'long' });
+    const lines = [`Schedule for ${weekday} ${formatDateKey(date)} (${isCommitted ? 'committed plan' : 'generated'})`];
+    if (activities.length === 0) {
+        lines.push('Nothing planned.');
+    }
+    activities.forEach(activity => {
+        const label = (ACTIVITY_LABELS[activity.type] || activity.type).padEnd(6);
+        lines.push(`${formatTime(activity.startMillis)}-${formatTime(activity.endMillis)}  ${label}  ${activity.name}${activity.isPinned ? ' (pinned)' : ''}`);
+    });
+    return lines.join('\n');
+}
+
+function main(args) {
+    let options;
+    let data;
+    try {
+        options = parseArguments(args);
+        data = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+    } catch (e) {
+        console.error(e.message);
+        return 1;
+    }
+
+    // The backup is loaded into memory only; the file is never written
+    const scheduler = new Scheduler({ storage: createMemoryStorage(), clock: { now: () => options.nowMillis } });
+    try {
+        scheduler.importData(data, 'replace');
+    } catch (e) {
+        console.error(`Could not read ${options.file}: ${e.message}`);
+        return 1;
+    }
+
+    const committedPlan = scheduler.getCommittedPlan(options.date);
+    const activities = committedPlan || scheduler.generateDailySchedule(options.date);
+    console.log(formatSchedule(options.date, activities, Boolean(committedPlan)));
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArguments, formatSchedule };
@@ -0,0 +1,341 @@
+// ics.js
+
+// iCalendar (RFC 5545) import of fixed blocks and export of generated schedules
+
+// The scheduler's classes and helpers: in the browser, scheduler.js is loaded first and they are globals;
+// Node imports them. Functions take what they need from here, so loading this module writes no globals.
+const icsSchedulerModule = typeof module !== 'undefined' && module.exports
+    ? require('./scheduler.js')
+    : { FixedBlock, MILLIS_IN_MINUTE, MILLIS_IN_DAY, formatDateKey, getWeekdayName, toSafeId };
+
+const ICS_PRODUCT_ID = '-//Intelligent Schedule Organiser//Scheduler//EN';
+const ICS_UID_DOMAIN = 'intelligent-schedule-organiser';
+const ICS_WEEKDAYS = { MO: 'MONDAY', TU: 'TUESDAY', WE: 'WEDNESDAY', TH: 'THURSDAY', FR: 'FRIDAY', SA: 'SATURDAY', SU: 'SUNDAY' };
+
+// --- Import ---
+
+// Parses the VEVENTs of an .ics file into plain objects:
+// { uid, summary, status, start, end, duration, allDay, recurrenceId, rrule, exdates }
+// duration is the raw DURATION value, which some calendars give instead of DTEND.
+function parseICS(text) {
+    // Unfold continuation lines (a line break followed by a space or tab)
+    const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+    const events = [];
+    let current = null;
+    lines.forEach(line => {
+        if (line.trim() === 'BEGIN:VEVENT') {
+            current = { uid: null, summary: '', status: null, start: null, end: null, duration: null, allDay: false, recurrenceId: null, rrule: null, exdates: [] };
+            return;
+        }
+        if (line.trim() === 'END:VEVENT') {
+            if (current) events.push(current);
+            current = null;
+            return;
+        }
+        if (!current) return;
+
+        const colonIndex = line.indexOf(':');
+        if (colonIndex === -1) return;
+        const [name, ...params] = line.substring(0, colonIndex).split(';');
+        const value = line.substring(colonIndex + 1);
+        const isDate = params.includes('VALUE=DATE');
+
+        switch (name.toUpperCase()) {
+            case 'UID':
+                current.uid = value;
+                break;
+            case 'SUMMARY':
+                current.summary = unescapeICSText(value);
+                break;
+            case 'STATUS':
+                current.status = value.toUpperCase();
+                break;
+            case 'DTSTART':
+                current.start = parseICSDate(value);
+                current.allDay = isDate || value.length === 8;
+                break;
+            case 'DTEND':
+                current.end = parseICSDate(value);
+                break;
+            case 'DURATION':
+                current.duration = value.trim();
+                break;
+            case 'RECURRENCE-ID':
+                current.recurrenceId = parseICSDate(value);
+                break;
+            case 'RRULE':
+                current.rrule = parseRRule(value);
+                break;
+            case 'EXDATE':
+                value.split(',').forEach(exdate => current.exdates.push(parseICSDate(exdate)));
+                break;
+        }
+    });
+    return events;
+}
+
+// Supports 'YYYYMMDD', floating 'YYYYMMDDTHHMMSS' and UTC 'YYYYMMDDTHHMMSSZ'.
+// Floating and TZID times are read as local wall-clock time.
+function parseICSDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value.trim());
+    if (!match) {
+        return null;
+    }
+    const [, year, month, day, hour = '0', minute = '0', second = '0', utc] = match;
+    if (utc) {
+        return new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second));
+    }
+    return new Date(+year, +month - 1, +day, +hour, +minute, +second);
+}
+
+// The end of an event that starts at start and lasts a DURATION such as PT1H30M, P1D or P1W.
+// Weeks and days are calendar days, so they keep the wall-clock time. Returns null for unreadable or negative durations.
+function addICSDuration(start, duration) {
+    const value = duration.toUpperCase();
+    const match = /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value);
+    if (!match || value.endsWith('T') || !/\d/.test(value)) { // "P", "PT" and "P1DT" name no length
+        return null;
+    }
+    const [weeks, days, hours, minutes, seconds] = match.slice(1).map(part => parseInt(part) || 0);
+    const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + weeks * 7 + days,
+        start.getHours(), start.getMinutes(), start.getSeconds());
+    return new Date(end.getTime() + ((hours * 60 + minutes) * 60 + seconds) * 1000);
+}
+
+function parseRRule(value) {
+    const rule = {};
+    value.split(';').forEach(part => {
+        const [key, ruleValue] = part.split('=');
+        rule[key.toUpperCase()] = ruleValue;
+    });
+    return rule;
+}
+
+function unescapeICSText(value) {
+    return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+// Converts parsed VEVENTs into FixedBlocks. Block IDs are derived from the event UID, so importing
+// the same file again updates the blocks instead of duplicating them.
+// Returns { blocks, skipped: [{ summary, reason }] }
+function icsEventsToFixedBlocks(events) {
+    const { FixedBlock, MILLIS_IN_DAY, formatDateKey, toSafeId } = icsSchedulerModule;
+    const blocks = [];
+    const skipped = [];
+    const blocksByUid = {};
+
+    // Master events first, so moved occurrences can cancel their original date
+    const ordered = events.filter(event => !event.recurrenceId).concat(events.filter(event => event.recurrenceId));
+
+    ordered.forEach(event => {
+        const summary = event.summary || 'Untitled event';
+        if (event.status === 'CANCELLED') {
+            if (event.recurrenceId && blocksByUid[event.uid]) {
+                blocksByUid[event.uid].exceptionDates.push(formatDateKey(event.recurrenceId));
+            }
+            return;
+        }
+        if (!event.start || event.allDay) {
+            skipped.push({ summary, reason: 'all-day or undated event' });
+            return;
+        }
+
+        let end = event.end || event.start;
+        if (!event.end && event.duration) {
+            end = addICSDuration(event.start, event.duration);
+            if (!end) {
+                skipped.push({ summary, reason: `unreadable duration (DURATION=${event.duration})` });
+                return;
+            }
+        }
+        // Events shorter than a day may run overnight into the next day, e.g. 23:00 to 07:00
+        const nextDay = new Date(event.start.getFullYear(), event.start.getMonth(), event.start.getDate() + 1);
+        const endsSameDay = formatDateKey(end) === formatDateKey(event.start);
+        if (!endsSameDay && !(formatDateKey(end) === formatDateKey(nextDay) && end - event.start < MILLIS_IN_DAY)
+            && !(end.getHours() === 0 && end.getMinutes() === 0 && end - event.start <= MILLIS_IN_DAY)) {
+            skipped.push({ summary, reason: 'spans more than one day' });
+            return;
+        }
+        // An event ending exactly at midnight ends at 24:00 of its start day
+        const endsAtMidnight = !endsSameDay && end.getHours() === 0 && end.getMinutes() === 0;
+        const endHour = endsAtMidnight ? 24 : end.getHours();
+        if (endsSameDay && endHour * 60 + end.getMinutes() <= event.start.getHours() * 60 + event.start.getMinutes()) {
+            skipped.push({ summary, reason: 'ends before it starts' });
+            return;
+        }
+
+        const startKey = formatDateKey(event.start);
+        let recurrence = { freq: 'ONCE' };
+        let validUntil = startKey;
+        let dayOfWeek = null;
+
+        if (event.rrule && !event.recurrenceId) {
+            if (event.rrule.UNTIL && !parseICSDate(event.rrule.UNTIL)) {
+                skipped.push({ summary, reason: `unreadable repeat end date (UNTIL=${event.rrule.UNTIL})` });
+                return;
+            }
+            const converted = convertRRule(event.rrule, event.start);
+            if (!converted) {
+                skipped.push({ summary, reason: `unsupported repeat rule (${Object.entries(event.rrule).map(entry => entry.join('=')).join(';')})` });
+                return;
+            }
+            recurrence = converted.recurrence;
+            validUntil = converted.validUntil;
+            if (recurrence.freq === 'DAILY' && recurrence.interval === 1) {
+                dayOfWeek = 'ALL_DAYS';
+            } else if (recurrence.freq === 'WEEKLY' && recurrence.interval === 1 && recurrence.byDay.length === 1) {
+                dayOfWeek = recurrence.byDay[0];
+            }
+        }
+
+        const id = event.recurrenceId
+            ? `fb_ics_${toSafeId(event.uid)}_${formatDateKey(event.recurrenceId)}`
+            : `fb_ics_${toSafeId(event.uid || `${startKey}_${summary}`)}`;
+        const block = new FixedBlock(
+            id, dayOfWeek, summary,
+            event.start.getHours(), event.start.getMinutes(), endHour, endHour === 24 ? 0 : end.getMinutes(),
+            recurrence, startKey, validUntil,
+            event.exdates.filter(Boolean).map(formatDateKey)
+        );
+
+        // A moved occurrence replaces the original date of its recurring event
+        if (event.recurrenceId && blocksByUid[event.uid]) {
+            blocksByUid[event.uid].exceptionDates.push(formatDateKey(event.recurrenceId));
+        } else if (!event.recurrenceId) {
+            blocksByUid[event.uid] = block;
+        }
+        blocks.push(block);
+    });
+
+    return { blocks, skipped };
+}
+
+// Maps an RRULE onto the FixedBlock recurrence model. Returns null when the rule can't be represented.
+function convertRRule(rrule, start) {
+    const { formatDateKey, getWeekdayName } = icsSchedulerModule;
+    const interval = parseInt(rrule.INTERVAL) || 1;
+    let recurrence;
+    switch (rrule.FREQ) {
+        case 'DAILY':
+            recurrence = { freq: 'DAILY', interval };
+            break;
+        case 'WEEKLY': {
+            const byDay = rrule.BYDAY ? rrule.BYDAY.split(',').map(code => ICS_WEEKDAYS[code]) : [getWeekdayName(start)];
+            if (byDay.some(day => !day)) {
+                return null;
+            }
+            recurrence = { freq: 'WEEKLY', interval, byDay };
+            break;
+        }
+        case 'MONTHLY': {
+            if (rrule.BYDAY || (rrule.BYMONTHDAY && rrule.BYMONTHDAY.includes(','))) {
+                return null; // "2nd Tuesday" style and multi-day monthly rules aren't supported
+            }
+            recurrence = { freq: 'MONTHLY', interval, byMonthDay: parseInt(rrule.BYMONTHDAY) || start.getDate() };
+            break;
+        }
+        default:
+            return null;
+    }
+
+    let validUntil = null;
+    if (rrule.UNTIL) {
+        const until = parseICSDate(rrule.UNTIL);
+        if (!until) {
+            return null;
+        }
+        validUntil = formatDateKey(until);
+    } else if (rrule.COUNT) {
+        validUntil = findNthOccurrence(recurrence, start, parseInt(rrule.COUNT));
+    }
+    return { recurrence, validUntil };
+}
+
+// Date key of the COUNT-th occurrence of a rule, so COUNT can be stored as an end date
+function findNthOccurrence(recurrence, start, count) {
+    const { FixedBlock, formatDateKey } = icsSchedulerModule;
+    const probe = new FixedBlock('probe', null, '', 0, 0, 0, 0, recurrence, formatDateKey(start), null, []);
+    const MAX_DAYS_SEARCHED = 366 * 10;
+    let found = 0;
+    for (let day = new Date(start.getFullYear(), start.getMonth(), start.getDate()), i = 0; i < MAX_DAYS_SEARCHED; day.setDate(day.getDate() + 1), i++) {
+        if (probe.occursOn(day) && ++found === count) {
+            return formatDateKey(day);
+        }
+    }
+    return null;
+}
+
+// --- Export ---
+
+// Serialises scheduled activities as an .ics calendar, stamped with nowMillis. UIDs depend on what an activity
+// is and which day it falls on, not on its exact time, so re-exporting a re-planned day updates the same events.
+function exportActivitiesToICS(activities, nowMillis = Date.now()) {
+    const { MILLIS_IN_MINUTE, formatDateKey } = icsSchedulerModule;
+    const stamp = formatICSDateTime(new Date(nowMillis));
+    // Calendar apps only apply an update when SEQUENCE grows; minutes since the epoch always do
+    const sequence = Math.floor(nowMillis / MILLIS_IN_MINUTE);
+    const occurrenceCounts = {};
+
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICS_PRODUCT_ID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+    activities
+        .slice()
+        .sort((a, b) => a.startMillis - b.startMillis)
+        .forEach(activity => {
+            const subject = activity.taskId || activity.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+            const baseUid = `${activity.type.toLowerCase()}-${subject}-${formatDateKey(new Date(activity.startMillis))}`;
+            occurrenceCounts[baseUid] = (occurrenceCounts[baseUid] || 0) + 1;
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${baseUid}-${occurrenceCounts[baseUid]}@${ICS_UID_DOMAIN}`,
+                `DTSTAMP:${stamp}`,
+                `SEQUENCE:${sequence}`,
+                `DTSTART:${formatICSDateTime(new Date(activity.startMillis))}`,
+                `DTEND:${formatICSDateTime(new Date(activity.endMillis))}`,
+                `SUMMARY:${escapeICSText(activity.name)}`,
+                `CATEGORIES:${activity.type}`,
+                'END:VEVENT'
+            );
+        });
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+function formatICSDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeICSText(value) {
+    return value.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+}
+
+// Lines longer than 75 octets of UTF-8 continue on the next line after a single space,
+// which counts toward that line's 75. Folds never split a character.
+function foldICSLine(line) {
+    const ICS_LINE_OCTETS = 75;
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+    let limit = ICS_LINE_OCTETS;
+    for (const char of line) {
+        const codePoint = char.codePointAt(0);
+        const octets = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+            limit = ICS_LINE_OCTETS - 1;
+        }
+        current += char;
+        currentOctets += octets;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// Node loads this file as a module (for the tests); in the browser these are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseICS, icsEventsToFixedBlocks, exportActivitiesToICS, foldICSLine };
+}
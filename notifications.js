@@ -0,0 +1,79 @@
+// notifications.js
+
+// Reminders for upcoming activities, ending breaks and approaching deadlines
+
+// What a reminder is about, so each kind can be muted on its own
+const NOTIFICATION_KINDS = {
+    TASK: 'Task sessions',
+    REVISION: 'Review sessions',
+    FIXED_BLOCK: 'Fixed blocks',
+    BREAK_END: 'End of breaks',
+    DEADLINE: 'Deadlines'
+};
+
+// Reminders due between fromMillis and untilMillis, earliest first:
+// [{ id, kind, title, body, atMillis }]. The id is stable, so a reminder shown in one tab
+// replaces the same reminder from another tab instead of appearing twice.
+function getUpcomingNotifications(scheduler, fromMillis, untilMillis) {
+    const { notifyBeforeMinutes, deadlineReminderHours } = scheduler.settings;
+    const formatTime = millis => new Date(millis).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const notifications = [];
+
+    // Committed plans are what the user agreed to; other days use the suggested plan
+    const plan = scheduler.generatePlan(new Date(fromMillis), new Date(untilMillis));
+    plan.days.forEach(day => {
+        const activities = scheduler.getCommittedPlan(day.date) || day.activities;
+        activities.forEach((activity, index) => {
+            if (activity.type === 'BREAK') {
+                const next = activities.slice(index + 1).find(a => a.type !== 'BREAK');
+                notifications.push({
+                    id: `break-end-${activity.endMillis}`,
+                    kind: 'BREAK_END',
+                    title: `${activity.name} is over`,
+                    body: next ? `Next: ${next.name} (${formatTime(next.startMillis)} - ${formatTime(next.endMillis)})` : 'Nothing else is planned.',
+                    atMillis: activity.endMillis
+                });
+                return;
+            }
+            notifications.push({
+                id: `${activity.type.toLowerCase()}-${activity.startMillis}-${activity.taskId || activity.name}`,
+                kind: activity.type,
+                title: notifyBeforeMinutes > 0 ? `In ${notifyBeforeMinutes} min: ${activity.name}` : `Now: ${activity.name}`,
+                body: `${formatTime(activity.startMillis)} - ${formatTime(activity.endMillis)}`,
+                atMillis: activity.startMillis - notifyBeforeMinutes * MILLIS_IN_MINUTE
+            });
+        });
+    });
+
+    scheduler.tasks
+        .filter(task => !task.isCompleted)
+        .forEach(task => {
+            deadlineReminderHours.forEach(hours => {
+                notifications.push({
+                    id: `deadline-${task.id}-${hours}`,
+                    kind: 'DEADLINE',
+                    title: `Due in ${hours >= 24 && hours % 24 === 0 ? `${hours / 24} day(s)` : `${hours} hour(s)`}: ${task.name}`,
+                    body: `${task.remainingMinutes} min of work left. Due ${task.deadline.toLocaleString()}.`,
+                    atMillis: task.deadline.getTime() - hours * MILLIS_IN_HOUR
+                });
+            });
+        });
+
+    return notifications
+        .filter(notification => notification.atMillis >= fromMillis && notification.atMillis < untilMillis)
+        .filter(notification => !scheduler.settings.mutedNotificationKinds.includes(notification.kind))
+        .filter(notification => !isInQuietHours(scheduler.settings, notification.atMillis))
+        .sort((a, b) => a.atMillis - b.atMillis);
+}
+
+function isInQuietHours(settings, millis) {
+    const { quietHoursStart, quietHoursEnd } = settings;
+    if (quietHoursStart === null || quietHoursEnd === null || quietHoursStart === quietHoursEnd) {
+        return false;
+    }
+    const date = new Date(millis);
+    const hour = date.getHours() + date.getMinutes() / 60;
+    return quietHoursStart < quietHoursEnd
+        ? hour >= quietHoursStart && hour < quietHoursEnd
+        : hour >= quietHoursStart || hour < quietHoursEnd; // e.g. 22 to 7
+}
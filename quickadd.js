@@ -0,0 +1,272 @@
+// quickadd.js
+
+// Quick add: turns one line of text into a Task or a FixedBlock, e.g.
+//   "Physics lab report high priority due Fri 5pm ~3h #assignment"
+//   "Gym every Mon Wed 18:00-19:30"
+// Text with a time range is a fixed block; anything else is a task. Whatever isn't recognised
+// becomes the name.
+
+// The scheduler's classes and helpers: in the browser, scheduler.js is loaded first and they are globals;
+// Node imports them. Functions take what they need from here, so loading this module writes no globals.
+const schedulerModule = typeof module !== 'undefined' && module.exports
+    ? require('./scheduler.js')
+    : { Task, FixedBlock, WEEKDAYS, TASK_TYPES, formatDateKey, parseDateKey, getWeekdayName };
+
+const QUICK_ADD_WEEKDAY = 'mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:rs?|rsday)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?';
+const QUICK_ADD_MONTH = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t|tember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const QUICK_ADD_DATE = `today|tonight|tomorrow|next week|in \\d+ (?:days?|weeks?)|(?:next )?(?:${QUICK_ADD_WEEKDAY})`
+    + `|\\d{4}-\\d{2}-\\d{2}|(?:${QUICK_ADD_MONTH}) \\d{1,2}(?:st|nd|rd|th)?|\\d{1,2}(?:st|nd|rd|th)? (?:${QUICK_ADD_MONTH})`;
+const QUICK_ADD_TIME = '\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)|\\d{1,2}:\\d{2}|noon|midnight';
+
+// Type tags may be shortened, e.g. #hw or #assign
+const QUICK_ADD_TYPE_ALIASES = { hw: 'HOMEWORK' };
+
+// A deadline given as a day without a time is due at the end of that day
+const QUICK_ADD_DEFAULT_DUE_MINUTES = 23 * 60 + 59;
+
+// Parses quick add text, with relative dates counted from nowMillis.
+// Returns { task }, { block } or { error } with a message for the user.
+function parseQuickAdd(text, nowMillis = Date.now()) {
+    const now = new Date(nowMillis);
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    let rest = ` ${text} `;
+
+    // Removes the first match of pattern that isValid accepts from the text and returns it
+    const take = (pattern, isValid = () => true) => {
+        const match = [...rest.matchAll(new RegExp(pattern, 'gi'))].find(isValid);
+        if (match) {
+            rest = rest.slice(0, match.index) + ' ' + rest.slice(match.index + match[0].length);
+        }
+        return match || null;
+    };
+
+    // Fixed block: a time range, e.g. 18:00-19:30, 6-7:30pm or from 9am to noon
+    const rangePattern = `\\b(?:from\\s+)?(\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)?|noon|midnight)\\s*(?:-|–|to)\\s*(\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)?|noon|midnight)\\b`;
+    const range = take(rangePattern, match => /[:a-z]/i.test(match[1]) || /[:a-z]/i.test(match[2]));
+    if (range) {
+        return parseQuickAddBlock(range, take, () => rest, today);
+    }
+    if (/\b(?:every|daily|weekly|monthly|weekdays|weekends)\b/i.test(rest)) {
+        return { error: 'Give the block a time range, e.g. "18:00-19:30" or "6-7:30pm".' };
+    }
+    return parseQuickAddTask(take, () => rest, now, today);
+}
+
+function parseQuickAddTask(take, getRest, now, today) {
+    const { Task, TASK_TYPES } = schedulerModule;
+    let type = 'OTHER';
+    const tag = take('(?:^|\\s)#(\\w+)');
+    if (tag) {
+        const word = tag[1].toLowerCase();
+        type = QUICK_ADD_TYPE_ALIASES[word] || TASK_TYPES.find(taskType => word.length >= 3 && taskType.toLowerCase().startsWith(word));
+        if (!type) {
+            return { error: `Unknown task type #${tag[1]}. Use one of ${TASK_TYPES.map(taskType => `#${taskType.toLowerCase()}`).join(', ')}.` };
+        }
+    }
+
+    let priority = 'MEDIUM';
+    const priorityMatch = take('\\b(high|medium|low)[ -]priority\\b|\\bpriority:?\\s*(high|medium|low)\\b|(?:^|\\s)!(high|medium|low)\\b');
+    if (priorityMatch) {
+        priority = (priorityMatch[1] || priorityMatch[2] || priorityMatch[3]).toUpperCase();
+    }
+
+    const due = take(`\\b(?:due|by)\\s+(?:(${QUICK_ADD_DATE})(?:\\s+(?:at\\s+)?(${QUICK_ADD_TIME}))?|(${QUICK_ADD_TIME})(?:\\s+(?:on\\s+)?(${QUICK_ADD_DATE}))?)\\b`);
+    if (!due) {
+        return { error: 'Add a deadline, e.g. "due Fri 5pm" or "by tomorrow".' };
+    }
+    const dateText = due[1] || due[4];
+    const timeText = due[2] || due[3];
+    const date = dateText ? resolveQuickAddDate(dateText, today) : today;
+    if (!date) {
+        return { error: `"${dateText}" isn't a date.` };
+    }
+    const dueMinutes = timeText ? parseQuickAddTime(timeText, true) : QUICK_ADD_DEFAULT_DUE_MINUTES;
+    if (dueMinutes === null) {
+        return { error: `"${timeText}" isn't a time of day.` };
+    }
+    const deadline = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, dueMinutes);
+    if (deadline < now) {
+        return { error: 'That deadline has already passed.' };
+    }
+
+    // Duration shorthands: ~3h, 90m, 1h30, 1.5 hours, for 45 min
+    const duration = take('(?:~\\s*|\\bfor\\s+|\\b)(?:(\\d+(?:\\.\\d+)?)\\s*(?:h|hrs?|hours?)(?:\\s*(\\d+)\\s*(?:m|mins?|minutes?)?)?|(\\d+)\\s*(?:m|mins?|minutes?))\\b');
+    if (!duration) {
+        return { error: 'Add an estimate, e.g. "~3h" or "45m".' };
+    }
+    const estimatedMinutes = duration[3]
+        ? parseInt(duration[3])
+        : Math.round(parseFloat(duration[1]) * 60) + (parseInt(duration[2]) || 0);
+    if (estimatedMinutes <= 0) {
+        return { error: 'The estimate must be longer than zero.' };
+    }
+
+    const name = cleanQuickAddName(getRest());
+    if (!name) {
+        return { error: 'Give the task a name.' };
+    }
+    return { task: new Task(null, name, '', priority, deadline, estimatedMinutes, type) };
+}
+
+function parseQuickAddBlock(range, take, getRest, today) {
+    const { FixedBlock, WEEKDAYS, formatDateKey, getWeekdayName } = schedulerModule;
+    // A bare hour takes its am/pm from the other end of the range when that keeps the start first,
+    // e.g. 6-7:30pm is 18:00-19:30 but 11-1pm is 11:00-13:00
+    let [startText, endText] = [range[1], range[2]];
+    const meridiem = /(am|pm)$/i;
+    if (!meridiem.test(startText) && /^\d{1,2}$/.test(startText.trim()) && meridiem.test(endText)) {
+        const withMeridiem = `${startText.trim()}${endText.match(meridiem)[1]}`;
+        const endMinutes = parseQuickAddTime(endText, true);
+        startText = parseQuickAddTime(withMeridiem, false) < endMinutes ? withMeridiem : `${startText.trim()}am`;
+    }
+    const startMinutes = parseQuickAddTime(startText, false);
+    const endMinutes = parseQuickAddTime(endText, true);
+    if (startMinutes === null || endMinutes === null) {
+        return { error: `"${range[0].trim()}" isn't a time range.` };
+    }
+    if (endMinutes === startMinutes) {
+        return { error: "A block can't start and end at the same time." };
+    }
+
+    const until = take(`\\buntil\\s+(${QUICK_ADD_DATE})\\b`);
+    const from = take(`\\b(?:starting|from)\\s+(${QUICK_ADD_DATE})\\b`);
+    const validUntilDate = until && resolveQuickAddDate(until[1], today);
+    let validFromDate = from && resolveQuickAddDate(from[1], today);
+    if ((until && !validUntilDate) || (from && !validFromDate)) {
+        return { error: `"${(until && !validUntilDate ? until : from)[1]}" isn't a date.` };
+    }
+
+    let recurrence = null;
+    const every = take(`\\b(?:every\\s+(other\\s+)?(day|weekdays?|weekends?|week|month|(?:${QUICK_ADD_WEEKDAY})(?:\\s*(?:,|and|&|/)?\\s*(?:${QUICK_ADD_WEEKDAY}))*)`
+        + `(?:\\s+on\\s+(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?)?|(daily|weekdays|weekends|weekly|monthly))\\b`);
+    if (every) {
+        const interval = every[1] ? 2 : 1;
+        const unit = (every[2] || every[4]).toLowerCase();
+        const firstDate = validFromDate || today;
+        if (unit === 'day' || unit === 'daily') {
+            recurrence = { freq: 'DAILY', interval };
+        } else if (unit.startsWith('weekday')) {
+            recurrence = { freq: 'WEEKLY', interval, byDay: WEEKDAYS.slice(0, 5) };
+        } else if (unit.startsWith('weekend')) {
+            recurrence = { freq: 'WEEKLY', interval, byDay: WEEKDAYS.slice(5) };
+        } else if (unit === 'week' || unit === 'weekly') {
+            recurrence = { freq: 'WEEKLY', interval, byDay: [getWeekdayName(firstDate)] };
+        } else if (unit === 'month' || unit === 'monthly') {
+            const byMonthDay = every[3] ? parseInt(every[3]) : firstDate.getDate();
+            if (byMonthDay < 1 || byMonthDay > 31) {
+                return { error: `Months don't have a day ${byMonthDay}.` };
+            }
+            recurrence = { freq: 'MONTHLY', interval, byMonthDay };
+        } else {
+            const byDay = [...unit.matchAll(new RegExp(QUICK_ADD_WEEKDAY, 'gi'))].map(day => toQuickAddWeekday(day[0]));
+            recurrence = { freq: 'WEEKLY', interval, byDay: WEEKDAYS.filter(day => byDay.includes(day)) };
+        }
+    } else {
+        const on = take(`\\b(?:on\\s+)?(${QUICK_ADD_DATE})\\b`);
+        const date = on && resolveQuickAddDate(on[1], today);
+        if (!date) {
+            return { error: 'Say when it happens, e.g. "every Mon Wed", "daily" or "tomorrow".' };
+        }
+        recurrence = { freq: 'ONCE' };
+        validFromDate = date;
+    }
+
+    // Intervals count from the start date, so default it to today (as the fixed block form does)
+    if (!validFromDate && recurrence.interval > 1) {
+        validFromDate = today;
+    }
+    const validFrom = validFromDate ? formatDateKey(validFromDate) : null;
+    const validUntil = recurrence.freq === 'ONCE' ? validFrom : (validUntilDate ? formatDateKey(validUntilDate) : null);
+    if (validFrom && validUntil && validUntil < validFrom) {
+        return { error: 'The block cannot end before it starts.' };
+    }
+
+    const name = cleanQuickAddName(getRest());
+    if (!name) {
+        return { error: 'Give the block a name.' };
+    }
+    let dayOfWeek = null;
+    if (recurrence.freq === 'DAILY' && recurrence.interval === 1) {
+        dayOfWeek = 'ALL_DAYS';
+    } else if (recurrence.freq === 'WEEKLY' && recurrence.interval === 1 && recurrence.byDay.length === 1) {
+        dayOfWeek = recurrence.byDay[0];
+    }
+    return {
+        block: new FixedBlock(null, dayOfWeek, name,
+            Math.floor(startMinutes / 60), startMinutes % 60, Math.floor(endMinutes / 60), endMinutes % 60,
+            recurrence, validFrom, validUntil)
+    };
+}
+
+// Minutes from the start of the day for 5pm, 5:30 pm, 17:00, noon or midnight (0 as a start, 24:00 as an end).
+// Returns null for times that don't exist.
+function parseQuickAddTime(text, isEnd) {
+    const value = text.trim().toLowerCase();
+    if (value === 'noon') return 12 * 60;
+    if (value === 'midnight') return isEnd ? 24 * 60 : 0;
+    const match = value.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+    if (!match) return null;
+    let hour = parseInt(match[1]);
+    const minute = parseInt(match[2]) || 0;
+    if (minute > 59) return null;
+    if (match[3]) {
+        if (hour < 1 || hour > 12) return null;
+        hour = hour % 12 + (match[3] === 'pm' ? 12 : 0);
+    } else if (hour > 23) {
+        return null;
+    }
+    return hour * 60 + minute;
+}
+
+// Resolves a date phrase to midnight of that day, counted from today:
+// "Fri" is the next Friday (today on a Friday), "next Fri" the one a week after it.
+// Returns null for dates that don't exist.
+function resolveQuickAddDate(text, today) {
+    const { WEEKDAYS, formatDateKey, parseDateKey, getWeekdayName } = schedulerModule;
+    const value = text.trim().toLowerCase().replace(/\s+/g, ' ');
+    const addDays = days => new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+    if (value === 'today' || value === 'tonight') return addDays(0);
+    if (value === 'tomorrow') return addDays(1);
+    if (value === 'next week') return addDays(7);
+
+    const relative = value.match(/^in (\d+) (day|week)s?$/);
+    if (relative) {
+        return addDays(parseInt(relative[1]) * (relative[2] === 'week' ? 7 : 1));
+    }
+    const weekday = value.match(new RegExp(`^(next )?(${QUICK_ADD_WEEKDAY})$`));
+    if (weekday) {
+        const daysAhead = (WEEKDAYS.indexOf(toQuickAddWeekday(weekday[2])) - WEEKDAYS.indexOf(getWeekdayName(today)) + 7) % 7;
+        return addDays(daysAhead + (weekday[1] ? 7 : 0));
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const date = parseDateKey(value);
+        return formatDateKey(date) === value ? date : null;
+    }
+
+    // "Jan 7" or "7th January": this year, or next year once the date has passed
+    const monthDay = value.match(/^([a-z]+) (\d{1,2})(?:st|nd|rd|th)?$/) || value.match(/^(\d{1,2})(?:st|nd|rd|th)? ([a-z]+)$/);
+    if (monthDay) {
+        const [monthName, day] = /^\d/.test(monthDay[1]) ? [monthDay[2], parseInt(monthDay[1])] : [monthDay[1], parseInt(monthDay[2])];
+        const month = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'].indexOf(monthName.substring(0, 3));
+        for (const year of [today.getFullYear(), today.getFullYear() + 1]) {
+            const date = new Date(year, month, day);
+            if (date.getMonth() !== month) return null; // e.g. Feb 30
+            if (date >= today) return date;
+        }
+    }
+    return null;
+}
+
+function toQuickAddWeekday(text) {
+    return schedulerModule.WEEKDAYS.find(day => day.startsWith(text.substring(0, 3).toUpperCase()));
+}
+
+// The words left over once everything recognised is removed, without stray separators
+function cleanQuickAddName(text) {
+    return text.replace(/\s+/g, ' ').trim().replace(/^[\s,;:-]+|[\s,;:-]+$/g, '');
+}
+
+// Node loads this file as a module (for the tests); in the browser these are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseQuickAdd, parseQuickAddTime, resolveQuickAddDate };
+}
@@ -1,15 +1,29 @@
-// Scheduler.js
+// scheduler.js
+
+// The scheduling engine. In the browser it is a classic script whose declarations are globals for the
+// other scripts; in Node it is a CommonJS module (see the exports at the end of the file).
+
+// The storage helpers: in the browser, storage.js is loaded first and they are globals; Node imports them.
+// Methods take what they need from here, so loading this module writes nothing to the global object.
+const storageModule = typeof module !== 'undefined' && module.exports
+    ? require('./storage.js')
+    : { STORAGE_SCHEMA_VERSION, STORED_COLLECTIONS, migrateDataset };
 
 // Data Structures
 class FixedBlock {
-    constructor(id, dayOfWeek, description, startHour, startMinute, endHour, endMinute) {
+    constructor(id, dayOfWeek, description, startHour, startMinute, endHour, endMinute, recurrence = null, validFrom = null, validUntil = null, exceptionDates = []) {
         this.id = id || `fb_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`; // Unique ID
-        this.dayOfWeek = dayOfWeek; // 'MONDAY', 'TUESDAY', 'ALL_DAYS', etc.
+        this.dayOfWeek = dayOfWeek; // 'MONDAY', 'TUESDAY', 'ALL_DAYS', etc. Used when there is no recurrence rule
         this.description = description;
         this.startHour = startHour;
         this.startMinute = startMinute;
         this.endHour = endHour;
         this.endMinute = endMinute;
+        // RRULE-style rule: { freq: 'ONCE' | 'DAILY' | 'WEEKLY' | 'MONTHLY', interval, byDay: ['MONDAY', ...], byMonthDay }
+        this.recurrence = recurrence;
+        this.validFrom = validFrom; // 'YYYY-MM-DD' (inclusive), also the anchor for intervals; null = no start
+        this.validUntil = validUntil; // 'YYYY-MM-DD' (inclusive); null = no end
+        this.exceptionDates = exceptionDates; // 'YYYY-MM-DD' dates on which this block is cancelled
     }
 
     getStartTimeInMinutes() {
@@ -18,10 +32,108 @@ class FixedBlock {
     getEndTimeInMinutes() {
         return this.endHour * 60 + this.endMinute;
     }
+
+    // A block that ends at or before its start time runs overnight into the next day, e.g. sleep from 23:00 to 07:00
+    isOvernight() {
+        return this.getEndTimeInMinutes() <= this.getStartTimeInMinutes();
+    }
+
+    // The time the block takes up on a date, as [{ startMillis, endMillis }] within that day. An overnight
+    // block fills the end of each day it occurs on and the start of the following day.
+    getIntervalsOn(date) {
+        const dayStartMillis = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+        const atMinute = minutes => dayStartMillis + minutes * MILLIS_IN_MINUTE;
+        const intervals = [];
+        if (this.isOvernight() && this.getEndTimeInMinutes() > 0) {
+            const previousDay = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+            if (this.occursOn(previousDay)) {
+                intervals.push({ startMillis: atMinute(0), endMillis: atMinute(this.getEndTimeInMinutes()) });
+            }
+        }
+        if (this.occursOn(date)) {
+            const endMinutes = this.isOvernight() ? 24 * 60 : this.getEndTimeInMinutes();
+            intervals.push({ startMillis: atMinute(this.getStartTimeInMinutes()), endMillis: atMinute(endMinutes) });
+        }
+        return intervals;
+    }
+
+    // e.g. "09:00 - 10:30", or "23:00 - 07:00 (overnight)"
+    describeTimes() {
+        const formatTime = (hour, minute) => `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+        const overnight = this.isOvernight() && this.getEndTimeInMinutes() > 0 ? ' (overnight)' : '';
+        return `${formatTime(this.startHour, this.startMinute)} - ${formatTime(this.endHour, this.endMinute)}${overnight}`;
+    }
+
+    occursOn(date) {
+        const dateKey = formatDateKey(date);
+        if ((this.validFrom && dateKey < this.validFrom) || (this.validUntil && dateKey > this.validUntil)) {
+            return false;
+        }
+        if (this.exceptionDates.includes(dateKey)) {
+            return false;
+        }
+
+        const weekday = getWeekdayName(date);
+        if (!this.recurrence) {
+            return this.dayOfWeek === weekday || this.dayOfWeek === 'ALL_DAYS';
+        }
+
+        const interval = this.recurrence.interval || 1;
+        const anchor = parseDateKey(this.validFrom || '1970-01-05'); // Any Monday works when there is no start date
+        const daysSinceAnchor = Math.round((parseDateKey(dateKey) - anchor) / MILLIS_IN_DAY);
+
+        switch (this.recurrence.freq) {
+            case 'ONCE':
+                return dateKey === this.validFrom;
+            case 'DAILY':
+                return daysSinceAnchor % interval === 0;
+            case 'WEEKLY': {
+                // Count whole weeks between the Monday of the anchor week and the Monday of this week
+                const anchorMonday = daysSinceAnchor + WEEKDAYS.indexOf(getWeekdayName(anchor)) - WEEKDAYS.indexOf(weekday);
+                const weeksSinceAnchor = Math.round(anchorMonday / 7);
+                return this.recurrence.byDay.includes(weekday) && weeksSinceAnchor % interval === 0;
+            }
+            case 'MONTHLY': {
+                const monthsSinceAnchor = (date.getFullYear() - anchor.getFullYear()) * 12 + date.getMonth() - anchor.getMonth();
+                const byMonthDay = this.recurrence.byMonthDay || anchor.getDate();
+                return date.getDate() === byMonthDay && monthsSinceAnchor % interval === 0;
+            }
+            default:
+                return false;
+        }
+    }
+
+    // Human-readable summary of when this block happens, e.g. "Every 2 weeks on FRIDAY"
+    describeRecurrence() {
+        let text;
+        if (!this.recurrence) {
+            text = this.dayOfWeek === 'ALL_DAYS' ? 'Every Day' : this.dayOfWeek;
+        } else {
+            const interval = this.recurrence.interval || 1;
+            switch (this.recurrence.freq) {
+                case 'ONCE':
+                    return `On ${this.validFrom}`;
+                case 'DAILY':
+                    text = interval === 1 ? 'Every Day' : `Every ${interval} days`;
+                    break;
+                case 'WEEKLY':
+                    text = `${interval === 1 ? 'Every week' : `Every ${interval} weeks`} on ${this.recurrence.byDay.join(', ')}`;
+                    break;
+                case 'MONTHLY':
+                    text = `${interval === 1 ? 'Every month' : `Every ${interval} months`} on day ${this.recurrence.byMonthDay}`;
+                    break;
+                default:
+                    text = 'Unknown recurrence';
+            }
+        }
+        if (this.validFrom) text += ` from ${this.validFrom}`;
+        if (this.validUntil) text += ` until ${this.validUntil}`;
+        return text;
+    }
 }
 
 class Task {
-    constructor(id, name, description, priority, deadline, estimatedMinutes, type, isCompleted = false, scheduledDate = null, remainingMinutes = estimatedMinutes) {
+    constructor(id, name, description, priority, deadline, estimatedMinutes, type, isCompleted = false, scheduledDate = null, remainingMinutes = estimatedMinutes, prerequisiteIds = [], subtasks = [], completedAt = null) {
         this.id = id || `task_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`; // Unique ID
         this.name = name;
         this.description = description;
@@ -31,18 +143,63 @@ class Task {
         this.type = type; // 'HOMEWORK', 'ASSIGNMENT', etc.
         this.isCompleted = isCompleted;
         this.scheduledDate = scheduledDate; // The Date object for which day it was last scheduled
-        this.remainingMinutes = remainingMinutes; // For broken down tasks
+        this.remainingMinutes = remainingMinutes; // Estimate minus logged work sessions (kept in sync by the Scheduler)
+        this.prerequisiteIds = prerequisiteIds; // IDs of tasks that must be done before this one
+        this.subtasks = subtasks; // Ordered Subtask objects; when present, the estimate is their sum
+        this.completedAt = completedAt; // Date the task was completed, for on-time reporting
+    }
+}
+
+// A step of a task, worked on in order
+class Subtask {
+    constructor(id, name, estimatedMinutes, isCompleted = false, deadline = null, remainingMinutes = estimatedMinutes) {
+        this.id = id || `st_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+        this.name = name;
+        this.estimatedMinutes = estimatedMinutes;
+        this.isCompleted = isCompleted;
+        this.deadline = deadline; // Optional Date object
+        this.remainingMinutes = remainingMinutes; // Kept in sync by the Scheduler from the task's work sessions
+    }
+}
+
+class WorkSession {
+    constructor(id, taskId, startMillis, endMillis, note = '') {
+        this.id = id || `ws_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`; // Unique ID
+        this.taskId = taskId;
+        this.startMillis = startMillis; // Unix timestamp
+        this.endMillis = endMillis;     // Unix timestamp
+        this.note = note; // e.g. 'Timer' or 'Logged manually'
+    }
+
+    getDurationMinutes() {
+        return Math.round((this.endMillis - this.startMillis) / (60 * 1000));
+    }
+}
+
+// A topic in the spaced-repetition queue, reviewed at growing intervals
+class ReviewItem {
+    constructor(id, topic, taskId = null, dueDate = null, step = 0, history = []) {
+        this.id = id || `rv_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+        this.topic = topic;
+        this.taskId = taskId; // Completed task the topic came from, if any
+        this.dueDate = dueDate; // 'YYYY-MM-DD' of the next review
+        this.step = step; // Index into REVIEW_INTERVALS_DAYS of the interval that led up to dueDate
+        this.history = history; // [{ date: 'YYYY-MM-DD', rating }]
     }
 }
 
 class ScheduledActivity {
-    constructor(id, type, name, startMillis, endMillis, taskId = null) {
+    constructor(id, type, name, startMillis, endMillis, taskId = null, isPinned = false, isLocked = false, reviewItemId = null, subtaskId = null) {
         this.id = id || `sa_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
         this.type = type; // 'TASK', 'BREAK', 'REVISION', 'FIXED_BLOCK'
         this.name = name;
         this.startMillis = startMillis; // Unix timestamp
         this.endMillis = endMillis;     // Unix timestamp
         this.taskId = taskId; // Link to original task if applicable
+        this.isPinned = isPinned; // Placed by the user; the generator keeps it and plans around it
+        this.isLocked = isLocked; // Pinned and protected from being moved, resized or unpinned
+        this.reviewItemId = reviewItemId; // ReviewItem a REVISION activity reviews
+        this.subtaskId = subtaskId; // Subtask a TASK chunk works on, if the task has subtasks
     }
 }
 
@@ -50,37 +207,395 @@ class ScheduledActivity {
 const MILLIS_IN_MINUTE = 60 * 1000;
 const MILLIS_IN_HOUR = 60 * MILLIS_IN_MINUTE;
 const MILLIS_IN_DAY = 24 * MILLIS_IN_HOUR;
+const WEEKDAYS = ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'];
+const TASK_TYPES = ['HOMEWORK', 'ASSIGNMENT', 'PROJECT', 'STUDY', 'OTHER'];
+
+// Date helpers. Day-level dates are stored as local 'YYYY-MM-DD' keys.
+function formatDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function parseDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+function getWeekdayName(date) {
+    return WEEKDAYS[(date.getDay() + 6) % 7];
+}
+
+// IDs end up inside the page's inline event handlers, so IDs from outside the app (a calendar file, a backup)
+// keep only letters, digits and _ - . @. Anything else is replaced, with a short hash of the original so
+// different IDs stay different. The same ID always cleans to the same result.
+function toSafeId(value) {
+    const safe = value.replace(/[^A-Za-z0-9_.@-]/g, '_');
+    if (safe === value) {
+        return value;
+    }
+    let hash = 0;
+    for (let i = 0; i < value.length; i++) {
+        hash = (hash * 31 + value.charCodeAt(i)) | 0;
+    }
+    return `${safe}_${(hash >>> 0).toString(36)}`;
+}
+
+// --- Storage and Clock Adapters ---
+// The scheduler keeps its data in a storage adapter with the localStorage interface (getItem, setItem,
+// removeItem) and reads the time from a clock adapter ({ now() } returning epoch millis), so tests and
+// the command line can run it on fixed data at a fixed time.
+
+const SYSTEM_CLOCK = { now: () => Date.now() };
+
+// In-memory storage adapter, for Node and tests. initialItems: { key: string value }
+function createMemoryStorage(initialItems = {}) {
+    const items = new Map(Object.entries(initialItems));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: key => { items.delete(key); }
+    };
+}
+
+// Scheduling preferences. Stored settings are merged over these, so new keys get a default.
+const DEFAULT_SETTINGS = {
+    dayStartHour: 8, // Working window used by every weekday without its own window
+    dayEndHour: 22,
+    weekdayWindows: {}, // 'MONDAY' -> { enabled, startHour, endHour }; a missing hour falls back to the day window
+    chunkMinutes: 120, // Longest single session for a task
+    minChunkMinutes: 30, // Shortest session worth scheduling
+    shortBreakMinutes: 5,
+    longBreakMinutes: 15,
+    chunksBeforeLongBreak: 4, // Pomodoro-style long break after this many chunks in a day (0 disables it)
+    bufferDays: 1, // Days left free before each deadline
+    revisionBlockMinutes: 60, // Length of a review session
+    minRevisionBlockMinutes: 30, // Shortest free time a review session is squeezed into
+    useCorrectedEstimates: false, // Plan with estimates scaled by each task type's historical accuracy
+    energyWindows: [], // [{ level: 'HIGH' | 'LOW', startHour, endHour }] hours of high focus or low energy
+    // Task type -> { energy: 'HIGH' | 'LOW' | null, preferredStartHour, preferredEndHour, earliestHour, latestHour }.
+    // Energy and preferred hours are soft preferences; earliest/latest hours are hard limits. null means no preference.
+    typePreferences: {},
+    notificationsEnabled: false,
+    notifyBeforeMinutes: 5, // How long before an activity starts its reminder is shown
+    deadlineReminderHours: [24, 1], // Reminders this many hours before each pending task's deadline
+    mutedNotificationKinds: [], // Any of NOTIFICATION_KINDS
+    quietHoursStart: null, // No notifications from this hour until quietHoursEnd (may wrap past midnight)
+    quietHoursEnd: null,
+    pomodoroByDefault: false, // Start timers in Pomodoro mode; its breaks use the break settings above
+    pomodoroFocusMinutes: 25,
+    timerSoundsEnabled: true,
+    idleMinutes: 5 // Ask whether to keep timer time after this long without input (0 disables it)
+};
+
+const MIN_ESTIMATE_SAMPLES = 3; // Completed tasks of a type needed before its accuracy ratio is trusted
+
+// Spaced repetition: days until the next review at each step. Past the last step the interval keeps doubling.
+const REVIEW_INTERVALS_DAYS = [1, 3, 7, 14, 30];
+const REVIEW_RATINGS = ['AGAIN', 'HARD', 'GOOD', 'EASY'];
+const REVIEWED_TASK_TYPES = ['STUDY', 'HOMEWORK']; // Completed tasks of these types enter the review queue
+
+// A new fixed block is checked for clashes over this many days, so monthly and every-few-weeks blocks meet
+const FIXED_BLOCK_CONFLICT_DAYS = 366;
 
 class Scheduler {
-    constructor() {
+    // Defaults to the browser's localStorage (in-memory storage where there is none) and the system clock
+    constructor({ storage = globalThis.localStorage || createMemoryStorage(), clock = SYSTEM_CLOCK } = {}) {
+        this.storage = storage;
+        this.clock = clock;
         this.tasks = []; // Array of Task objects
         this.fixedBlocks = []; // Array of FixedBlock objects
+        this.committedPlans = {}; // 'YYYY-MM-DD' -> Array of ScheduledActivity objects planned for that day
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.workSessions = []; // Array of WorkSession objects, the record of all real work done
+        this.pinnedActivities = []; // Array of ScheduledActivity objects the user placed by hand
+        this.lastCatchUpMillis = 0; // Planned work that ended before this time has already been caught up or dismissed
+        this.reviewItems = []; // Array of ReviewItem objects, the spaced-repetition queue
     }
 
     // --- Data Management ---
     loadData() {
+        const { STORAGE_SCHEMA_VERSION, STORED_COLLECTIONS, migrateDataset } = storageModule;
+        this.loadErrors = []; // Problems found while loading, for the UI to report
+        const dataset = { schemaVersion: parseInt(this.storage.getItem('schemaVersion')) || 1 };
+
+        STORED_COLLECTIONS.forEach(({ key, fallback }) => {
+            const raw = this.storage.getItem(key);
+            try {
+                dataset[key] = raw === null ? fallback : JSON.parse(raw);
+            } catch (e) {
+                // Keep unreadable data aside instead of silently wiping it
+                const backupKey = `${key}_unreadable_${this.clock.now()}`;
+                this.storage.setItem(backupKey, raw);
+                console.error(`Error parsing stored '${key}', kept a copy in '${backupKey}':`, e);
+                this.loadErrors.push(`Saved ${key} could not be read. A copy was kept under '${backupKey}'.`);
+                dataset[key] = fallback;
+            }
+        });
+
+        let migrated;
         try {
-            this.tasks = JSON.parse(localStorage.getItem('tasks') || '[]').map(data => new Task(
-                data.id, data.name, data.description, data.priority,
-                new Date(data.deadline), data.estimatedMinutes, data.type,
-                data.isCompleted, data.scheduledDate ? new Date(data.scheduledDate) : null, data.remainingMinutes
-            ));
-            this.fixedBlocks = JSON.parse(localStorage.getItem('fixedBlocks') || '[]').map(data => new FixedBlock(
-                data.id, data.dayOfWeek, data.description, data.startHour,
-                data.startMinute, data.endHour, data.endMinute
-            ));
+            migrated = migrateDataset(dataset, this.clock.now());
         } catch (e) {
-            console.error("Error loading data from localStorage:", e);
-            this.tasks = [];
-            this.fixedBlocks = [];
+            // Load what we can, but don't write the upgraded shape over data we don't understand
+            console.error("Error migrating stored data:", e);
+            this.loadErrors.push(e.message);
+            this._applyDataset(dataset);
+            return;
+        }
+        this._applyDataset(migrated);
+
+        if (dataset.schemaVersion < STORAGE_SCHEMA_VERSION) {
+            this.saveData(); // Store the upgraded shape
         }
-        console.log("Data loaded:", this.tasks, this.fixedBlocks);
     }
 
     saveData() {
-        localStorage.setItem('tasks', JSON.stringify(this.tasks));
-        localStorage.setItem('fixedBlocks', JSON.stringify(this.fixedBlocks));
-        console.log("Data saved.");
+        const { STORAGE_SCHEMA_VERSION } = storageModule;
+        this.storage.setItem('schemaVersion', String(STORAGE_SCHEMA_VERSION));
+        this.storage.setItem('tasks', JSON.stringify(this.tasks));
+        this.storage.setItem('fixedBlocks', JSON.stringify(this.fixedBlocks));
+        this.storage.setItem('committedPlans', JSON.stringify(this.committedPlans));
+        this.storage.setItem('settings', JSON.stringify(this.settings));
+        this.storage.setItem('workSessions', JSON.stringify(this.workSessions));
+        this.storage.setItem('pinnedActivities', JSON.stringify(this.pinnedActivities));
+        this.storage.setItem('lastCatchUpMillis', JSON.stringify(this.lastCatchUpMillis));
+        this.storage.setItem('reviewItems', JSON.stringify(this.reviewItems));
+    }
+
+    // Replaces the current state with a migrated plain dataset. Everything is hydrated before
+    // anything is assigned, so a dataset that fails part way leaves the current state untouched.
+    _applyDataset(dataset) {
+        Object.assign(this, this._hydrateDataset(dataset));
+        this._syncRemainingMinutes();
+    }
+
+    // Builds class instances from a migrated plain dataset
+    _hydrateDataset(dataset) {
+        const committedPlans = {};
+        Object.keys(dataset.committedPlans).forEach(dateKey => {
+            committedPlans[dateKey] = dataset.committedPlans[dateKey].map(data => this._hydrateActivity(data));
+        });
+        return {
+            tasks: dataset.tasks.map(data => this._hydrateTask(data)),
+            fixedBlocks: dataset.fixedBlocks.map(data => this._hydrateFixedBlock(data)),
+            committedPlans,
+            settings: { ...DEFAULT_SETTINGS, ...dataset.settings },
+            workSessions: dataset.workSessions.map(data => this._hydrateWorkSession(data)),
+            pinnedActivities: dataset.pinnedActivities.map(data => this._hydrateActivity(data)),
+            lastCatchUpMillis: dataset.lastCatchUpMillis,
+            reviewItems: dataset.reviewItems.map(data => this._hydrateReviewItem(data))
+        };
+    }
+
+    // Cleans every ID in a plain dataset and every reference to one, so links between items survive
+    _cleanDatasetIds(dataset) {
+        const clean = value => (typeof value === 'string' ? toSafeId(value) : value);
+        const cleanFields = (item, fields) => fields.forEach(field => { item[field] = clean(item[field]); });
+        dataset.tasks.forEach(task => {
+            cleanFields(task, ['id']);
+            task.prerequisiteIds = (task.prerequisiteIds || []).map(clean);
+            (task.subtasks || []).forEach(subtask => cleanFields(subtask, ['id']));
+        });
+        dataset.fixedBlocks.forEach(block => cleanFields(block, ['id']));
+        Object.values(dataset.committedPlans).concat([dataset.pinnedActivities]).forEach(activities => {
+            activities.forEach(activity => cleanFields(activity, ['id', 'taskId', 'subtaskId', 'reviewItemId']));
+        });
+        dataset.workSessions.forEach(session => cleanFields(session, ['id', 'taskId']));
+        dataset.reviewItems.forEach(item => cleanFields(item, ['id', 'taskId']));
+    }
+
+    _hydrateTask(data) {
+        return new Task(
+            data.id, data.name, data.description, data.priority,
+            new Date(data.deadline), data.estimatedMinutes, data.type,
+            data.isCompleted, data.scheduledDate ? new Date(data.scheduledDate) : null, data.remainingMinutes,
+            data.prerequisiteIds || [],
+            (data.subtasks || []).map(subtask => new Subtask(
+                subtask.id, subtask.name, subtask.estimatedMinutes, subtask.isCompleted,
+                subtask.deadline ? new Date(subtask.deadline) : null, subtask.remainingMinutes
+            )),
+            data.completedAt ? new Date(data.completedAt) : null
+        );
+    }
+
+    _hydrateFixedBlock(data) {
+        return new FixedBlock(
+            data.id, data.dayOfWeek, data.description, data.startHour,
+            data.startMinute, data.endHour, data.endMinute,
+            data.recurrence || null, data.validFrom || null, data.validUntil || null, data.exceptionDates || []
+        );
+    }
+
+    _hydrateWorkSession(data) {
+        return new WorkSession(data.id, data.taskId, data.startMillis, data.endMillis, data.note || '');
+    }
+
+    _hydrateActivity(data) {
+        return new ScheduledActivity(
+            data.id, data.type, data.name, data.startMillis, data.endMillis, data.taskId,
+            data.isPinned || false, data.isLocked || false, data.reviewItemId || null, data.subtaskId || null
+        );
+    }
+
+    _hydrateReviewItem(data) {
+        return new ReviewItem(data.id, data.topic, data.taskId || null, data.dueDate, data.step || 0, data.history || []);
+    }
+
+    // --- Backup & Restore ---
+    // The complete dataset as a plain object, ready for JSON.stringify
+    exportData() {
+        return {
+            app: 'intelligent-schedule-organiser',
+            schemaVersion: storageModule.STORAGE_SCHEMA_VERSION,
+            exportedAt: new Date(this.clock.now()).toISOString(),
+            tasks: this.tasks,
+            fixedBlocks: this.fixedBlocks,
+            committedPlans: this.committedPlans,
+            settings: this.settings,
+            workSessions: this.workSessions,
+            pinnedActivities: this.pinnedActivities,
+            lastCatchUpMillis: this.lastCatchUpMillis,
+            reviewItems: this.reviewItems
+        };
+    }
+
+    // Restores a dataset produced by exportData (any schema version up to the current one).
+    // mode: 'replace' swaps all data; 'merge' adds the imported items to the existing ones.
+    // onConflict (merge only), for items whose ID already exists: 'skip' | 'overwrite' | 'keep-both'
+    // Returns { tasks, fixedBlocks, committedPlans, workSessions, pinnedActivities, reviewItems } counts of { added, updated, skipped }. Throws on invalid data.
+    importData(data, mode = 'merge', onConflict = 'skip') {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.tasks) || !Array.isArray(data.fixedBlocks)) {
+            throw new Error("This file is not a scheduler backup.");
+        }
+        const imported = storageModule.migrateDataset(JSON.parse(JSON.stringify(data)), this.clock.now());
+        this._cleanDatasetIds(imported);
+
+        if (mode === 'replace') {
+            this._applyDataset(imported);
+            this.saveData();
+            const counts = collection => ({ added: collection.length, updated: 0, skipped: 0 });
+            return {
+                tasks: counts(this.tasks),
+                fixedBlocks: counts(this.fixedBlocks),
+                committedPlans: counts(Object.keys(this.committedPlans)),
+                workSessions: counts(this.workSessions),
+                pinnedActivities: counts(this.pinnedActivities),
+                reviewItems: counts(this.reviewItems)
+            };
+        }
+
+        // Imported task IDs that had to be renamed ('keep-both'), so links to them can follow
+        const renamedTaskIds = {};
+        const newId = prefix => `${prefix}_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+
+        const importedTasks = imported.tasks.map(data => this._hydrateTask(data));
+        if (onConflict === 'keep-both') {
+            importedTasks.forEach(task => {
+                if (this.tasks.some(t => t.id === task.id)) {
+                    renamedTaskIds[task.id] = newId('task');
+                    task.id = renamedTaskIds[task.id];
+                }
+            });
+            importedTasks.forEach(task => {
+                task.prerequisiteIds = task.prerequisiteIds.map(id => renamedTaskIds[id] || id);
+            });
+        }
+        const taskCounts = this._mergeById(this.tasks, importedTasks, onConflict, () => newId('task'));
+
+        const importedBlocks = imported.fixedBlocks.map(data => this._hydrateFixedBlock(data));
+        const blockCounts = this._mergeById(this.fixedBlocks, importedBlocks, onConflict, () => newId('fb'));
+
+        const planCounts = { added: 0, updated: 0, skipped: 0 };
+        Object.keys(imported.committedPlans).forEach(dateKey => {
+            const activities = imported.committedPlans[dateKey].map(data => {
+                const activity = this._hydrateActivity(data);
+                activity.taskId = renamedTaskIds[activity.taskId] || activity.taskId;
+                return activity;
+            });
+            if (!this.committedPlans[dateKey]) {
+                this.committedPlans[dateKey] = activities;
+                planCounts.added++;
+            } else if (onConflict === 'overwrite') {
+                this.committedPlans[dateKey] = activities;
+                planCounts.updated++;
+            } else {
+                planCounts.skipped++; // Only one committed plan can exist per day
+            }
+        });
+
+        const importedSessions = imported.workSessions.map(data => {
+            const session = this._hydrateWorkSession(data);
+            session.taskId = renamedTaskIds[session.taskId] || session.taskId;
+            return session;
+        });
+        const sessionCounts = this._mergeById(this.workSessions, importedSessions, onConflict, () => newId('ws'));
+
+        const importedPins = imported.pinnedActivities.map(data => {
+            const activity = this._hydrateActivity(data);
+            activity.taskId = renamedTaskIds[activity.taskId] || activity.taskId;
+            return activity;
+        });
+        const pinCounts = this._mergeById(this.pinnedActivities, importedPins, onConflict, () => newId('sa'));
+        this.lastCatchUpMillis = Math.max(this.lastCatchUpMillis, imported.lastCatchUpMillis);
+
+        const importedReviews = imported.reviewItems.map(data => {
+            const item = this._hydrateReviewItem(data);
+            item.taskId = renamedTaskIds[item.taskId] || item.taskId;
+            return item;
+        });
+        const reviewCounts = this._mergeById(this.reviewItems, importedReviews, onConflict, () => newId('rv'));
+
+        this._syncRemainingMinutes();
+        this.saveData();
+        return {
+            tasks: taskCounts,
+            fixedBlocks: blockCounts,
+            committedPlans: planCounts,
+            workSessions: sessionCounts,
+            pinnedActivities: pinCounts,
+            reviewItems: reviewCounts
+        };
+    }
+
+    // Adds incoming items to an array in place, resolving ID clashes with the given strategy
+    _mergeById(existing, incoming, onConflict, createId) {
+        const counts = { added: 0, updated: 0, skipped: 0 };
+        incoming.forEach(item => {
+            const index = existing.findIndex(e => e.id === item.id);
+            if (index === -1) {
+                existing.push(item);
+                counts.added++;
+            } else if (onConflict === 'overwrite') {
+                existing[index] = item;
+                counts.updated++;
+            } else if (onConflict === 'keep-both') {
+                item.id = createId();
+                existing.push(item);
+                counts.added++;
+            } else {
+                counts.skipped++;
+            }
+        });
+        return counts;
+    }
+
+    updateSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        this.saveData();
+    }
+
+    // Returns { startHour, endHour } for a weekday, or null if the day is switched off
+    getWorkingWindow(dayOfWeek) {
+        const weekdayWindow = this.settings.weekdayWindows[dayOfWeek];
+        if (!weekdayWindow) {
+            return { startHour: this.settings.dayStartHour, endHour: this.settings.dayEndHour };
+        }
+        if (!weekdayWindow.enabled) {
+            return null;
+        }
+        return {
+            startHour: weekdayWindow.startHour ?? this.settings.dayStartHour,
+            endHour: weekdayWindow.endHour ?? this.settings.dayEndHour
+        };
     }
 
     addTask(task) {
@@ -96,193 +611,1106 @@ class Scheduler {
         this.saveData();
     }
 
+    // Adds imported blocks, replacing existing blocks with the same ID (e.g. from an earlier import of the same calendar)
+    importFixedBlocks(blocks) {
+        let added = 0;
+        let updated = 0;
+        blocks.forEach(block => {
+            const index = this.fixedBlocks.findIndex(b => b.id === block.id);
+            if (index === -1) {
+                this.fixedBlocks.push(block);
+                added++;
+            } else {
+                this.fixedBlocks[index] = block;
+                updated++;
+            }
+        });
+        this.saveData();
+        return { added, updated };
+    }
+
+    // Cancels a single occurrence of a fixed block, e.g. a class on a holiday
+    addFixedBlockException(blockId, dateKey) {
+        const block = this.fixedBlocks.find(b => b.id === blockId);
+        if (!block) {
+            return false;
+        }
+        if (!block.exceptionDates.includes(dateKey)) {
+            block.exceptionDates.push(dateKey);
+            block.exceptionDates.sort();
+            this.saveData();
+        }
+        return true;
+    }
+
+    removeFixedBlockException(blockId, dateKey) {
+        const block = this.fixedBlocks.find(b => b.id === blockId);
+        if (block) {
+            block.exceptionDates = block.exceptionDates.filter(d => d !== dateKey);
+            this.saveData();
+        }
+    }
+
     markTaskCompleted(taskId) {
         const task = this.tasks.find(t => t.id === taskId);
         if (task) {
-            task.isCompleted = true;
-            task.remainingMinutes = 0;
+            this._setTaskCompleted(task);
             this.saveData();
             return true;
         }
         return false;
     }
 
+    // Edits a task in place. changes may hold name, description, priority, deadline, type and
+    // estimatedMinutes; a task with subtasks keeps the sum of their estimates instead.
+    updateTask(taskId, changes) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) {
+            return false;
+        }
+        ['name', 'description', 'priority', 'deadline', 'type'].forEach(key => {
+            if (changes[key] !== undefined) {
+                task[key] = changes[key];
+            }
+        });
+        if (changes.estimatedMinutes !== undefined && task.subtasks.length === 0) {
+            task.estimatedMinutes = changes.estimatedMinutes;
+        }
+        // A lower estimate may already be covered by the work logged
+        this._completeIfDone(taskId);
+        this.saveData();
+        return true;
+    }
+
+    // --- Work Sessions ---
+    // Sessions are the only record of real work. A task's remaining time is always its
+    // estimate minus the minutes logged in its sessions.
+
+    // Records work that just finished (e.g. "I worked 30 minutes"), ending now
+    logWork(taskId, minutes, note = 'Logged manually') {
+        const endMillis = this.clock.now();
+        return this.addWorkSession(new WorkSession(null, taskId, endMillis - minutes * MILLIS_IN_MINUTE, endMillis, note));
+    }
+
+    addWorkSession(session) {
+        if (!this.tasks.some(t => t.id === session.taskId) || session.endMillis <= session.startMillis) {
+            return false;
+        }
+        this.workSessions.push(session);
+        this._completeIfDone(session.taskId);
+        this.saveData();
+        return true;
+    }
+
+    updateWorkSession(sessionId, startMillis, endMillis) {
+        const session = this.workSessions.find(s => s.id === sessionId);
+        if (!session || endMillis <= startMillis) {
+            return false;
+        }
+        session.startMillis = startMillis;
+        session.endMillis = endMillis;
+        this._completeIfDone(session.taskId);
+        this.saveData();
+        return true;
+    }
+
+    deleteWorkSession(sessionId) {
+        const session = this.workSessions.find(s => s.id === sessionId);
+        if (!session) {
+            return false;
+        }
+        this.workSessions = this.workSessions.filter(s => s.id !== sessionId);
+        this._syncRemainingMinutes();
+        this.saveData();
+        return true;
+    }
+
+    // Sessions of a task, most recent first
+    getSessionsForTask(taskId) {
+        return this.workSessions
+            .filter(session => session.taskId === taskId)
+            .sort((a, b) => b.startMillis - a.startMillis);
+    }
+
+    getLoggedMinutes(taskId) {
+        return this.workSessions
+            .filter(session => session.taskId === taskId)
+            .reduce((total, session) => total + session.getDurationMinutes(), 0);
+    }
+
+    // --- Estimate Accuracy ---
+    // Historical ratio of actual (logged) to estimated time per task type, from completed tasks with logged work.
+    // Returns { 'PROJECT': { ratio, sampleSize, isReliable }, ... }
+    getEstimateAccuracy() {
+        const totals = {};
+        this.tasks.forEach(task => {
+            const actualMinutes = this.getLoggedMinutes(task.id);
+            if (!task.isCompleted || actualMinutes <= 0 || task.estimatedMinutes <= 0) {
+                return;
+            }
+            totals[task.type] = totals[task.type] || { estimated: 0, actual: 0, sampleSize: 0 };
+            totals[task.type].estimated += task.estimatedMinutes;
+            totals[task.type].actual += actualMinutes;
+            totals[task.type].sampleSize++;
+        });
+
+        const accuracy = {};
+        Object.keys(totals).forEach(type => {
+            const { estimated, actual, sampleSize } = totals[type];
+            accuracy[type] = { ratio: actual / estimated, sampleSize, isReliable: sampleSize >= MIN_ESTIMATE_SAMPLES };
+        });
+        return accuracy;
+    }
+
+    // Minutes the planner should still reserve for a task: its remaining time, or, with corrected
+    // estimates switched on, the type-corrected estimate minus the work already logged
+    getPlanningMinutes(task, accuracy = this.getEstimateAccuracy()) {
+        const typeAccuracy = accuracy[task.type];
+        if (task.isCompleted || !this.settings.useCorrectedEstimates || !typeAccuracy || !typeAccuracy.isReliable) {
+            return task.remainingMinutes;
+        }
+        const correctedEstimate = Math.round(task.estimatedMinutes * typeAccuracy.ratio);
+        return Math.max(0, correctedEstimate - this.getLoggedMinutes(task.id));
+    }
+
+    // Marks a task completed once its sessions cover the estimate
+    _completeIfDone(taskId) {
+        this._syncRemainingMinutes();
+        const task = this.tasks.find(t => t.id === taskId);
+        if (task && !task.isCompleted && task.remainingMinutes <= 0) {
+            this._setTaskCompleted(task);
+        }
+    }
+
+    _setTaskCompleted(task) {
+        task.isCompleted = true;
+        task.completedAt = new Date(this.clock.now());
+        task.subtasks.forEach(subtask => {
+            subtask.isCompleted = true;
+        });
+        this._syncRemainingMinutes();
+        this._enqueueReview(task);
+    }
+
+    _syncRemainingMinutes() {
+        this.tasks.forEach(task => {
+            let loggedMinutes = this.getLoggedMinutes(task.id);
+            if (task.subtasks.length === 0) {
+                task.remainingMinutes = task.isCompleted ? 0 : Math.max(0, task.estimatedMinutes - loggedMinutes);
+                return;
+            }
+            // Subtasks are worked on in order, so logged work counts toward them in order
+            task.subtasks.forEach(subtask => {
+                const countedMinutes = Math.min(loggedMinutes, subtask.estimatedMinutes);
+                loggedMinutes -= countedMinutes;
+                subtask.remainingMinutes = task.isCompleted || subtask.isCompleted ? 0 : subtask.estimatedMinutes - countedMinutes;
+            });
+            task.remainingMinutes = task.subtasks.reduce((total, subtask) => total + subtask.remainingMinutes, 0);
+        });
+    }
+    // --- Fixed Block Conflicts ---
+
+    // Fixed blocks on a date with the time each takes up that day, earliest first: [{ block, startMillis, endMillis }]
+    getFixedBlockIntervals(date) {
+        return this.fixedBlocks
+            .flatMap(block => block.getIntervalsOn(date).map(interval => ({ block, ...interval })))
+            .sort((a, b) => a.startMillis - b.startMillis);
+    }
+
+    // Existing blocks that overlap block on some date in the next FIXED_BLOCK_CONFLICT_DAYS days, counted from
+    // today or the block's first date, whichever is later. Returns [{ block, dateKey }] with the first clash of each.
+    findFixedBlockConflicts(block) {
+        const today = this._startOfDay(new Date(this.clock.now()));
+        const firstDay = block.validFrom && parseDateKey(block.validFrom) > today ? parseDateKey(block.validFrom) : today;
+        const others = this.fixedBlocks.filter(other => other.id !== block.id);
+        const conflicts = [];
+        for (let offset = 0; offset < FIXED_BLOCK_CONFLICT_DAYS && conflicts.length < others.length; offset++) {
+            const day = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + offset);
+            const intervals = block.getIntervalsOn(day);
+            if (intervals.length === 0) continue;
+            others
+                .filter(other => !conflicts.some(conflict => conflict.block === other))
+                .filter(other => other.getIntervalsOn(day).some(otherInterval => intervals.some(interval =>
+                    interval.startMillis < otherInterval.endMillis && otherInterval.startMillis < interval.endMillis)))
+                .forEach(other => conflicts.push({ block: other, dateKey: formatDateKey(day) }));
+        }
+        return conflicts;
+    }
+
+    // Overlapping blocks that repeat on exactly the same dates as block, so they can become one block with it
+    getMergeableFixedBlocks(block) {
+        const pattern = JSON.stringify(this._getOccurrencePattern(block));
+        return this.findFixedBlockConflicts(block)
+            .map(conflict => conflict.block)
+            .filter(other => JSON.stringify(this._getOccurrencePattern(other)) === pattern);
+    }
+
+    // Adds block by merging it with the mergeable blocks: the first of them grows to cover all of their
+    // times and names, and the others are removed. Returns the merged block, or null (changing nothing)
+    // if there is nothing to merge with or the merged block would last a whole day.
+    mergeFixedBlock(block) {
+        const mergeable = this.getMergeableFixedBlocks(block);
+        if (mergeable.length === 0) {
+            return null;
+        }
+
+        // Minutes from the start of the day; an overnight block ends past 24 * 60
+        const toRange = b => ({ start: b.getStartTimeInMinutes(), end: b.getEndTimeInMinutes() + (b.isOvernight() ? 24 * 60 : 0) });
+        let range = toRange(block);
+        for (const other of mergeable) {
+            const otherRange = toRange(other);
+            // The overlap may be with the part of either block that runs into the next day
+            const shift = [0, -24 * 60, 24 * 60].find(minutes =>
+                otherRange.start + minutes <= range.end && range.start <= otherRange.end + minutes);
+            if (shift === undefined) {
+                return null;
+            }
+            range = { start: Math.min(range.start, otherRange.start + shift), end: Math.max(range.end, otherRange.end + shift) };
+        }
+        if (range.end - range.start >= 24 * 60) {
+            return null;
+        }
+        const dayShift = range.start < 0 ? 24 * 60 : range.start >= 24 * 60 ? -24 * 60 : 0;
+        const start = range.start + dayShift;
+        // A block ending exactly at midnight keeps 24:00 as its end
+        const end = range.end + dayShift > 24 * 60 ? range.end + dayShift - 24 * 60 : range.end + dayShift;
+
+        const [target, ...absorbed] = mergeable;
+        target.startHour = Math.floor(start / 60);
+        target.startMinute = start % 60;
+        target.endHour = Math.floor(end / 60);
+        target.endMinute = end % 60;
+        target.description = [...new Set([target, ...absorbed, block].map(b => b.description))].join(' / ');
+        this.fixedBlocks = this.fixedBlocks.filter(b => !absorbed.includes(b));
+        this.saveData();
+        return target;
+    }
+
+    // The dates a block repeats on, in a form that compares equal for blocks that always occur together
+    _getOccurrencePattern(block) {
+        let recurrence = block.recurrence;
+        if (!recurrence) {
+            recurrence = block.dayOfWeek === 'ALL_DAYS' ? { freq: 'DAILY' } : { freq: 'WEEKLY', byDay: [block.dayOfWeek] };
+        }
+        return {
+            freq: recurrence.freq,
+            interval: recurrence.interval || 1,
+            byDay: (recurrence.byDay || []).slice().sort(),
+            byMonthDay: recurrence.byMonthDay || null,
+            validFrom: block.validFrom,
+            validUntil: block.validUntil
+        };
+    }
+
+    // --- Shared Free Time ---
+
+    // Free time on date shared by this scheduler and others (e.g. schedulers loaded from other profiles):
+    // inside everyone's working window, outside everyone's fixed blocks and not already past.
+    // Returns [{ start, end }] slots of at least minMinutes.
+    getCommonFreeSlots(others, date, minMinutes = 0) {
+        const everyone = [this, ...others];
+        const windows = everyone.map(scheduler => scheduler.getWorkingWindow(getWeekdayName(date)));
+        if (windows.includes(null)) {
+            return []; // Someone has the day off
+        }
+        const startOfDayMillis = this._startOfDay(date).getTime();
+        const start = Math.max(this.clock.now(), startOfDayMillis + Math.max(...windows.map(window => window.startHour)) * MILLIS_IN_HOUR);
+        const end = startOfDayMillis + Math.min(...windows.map(window => window.endHour)) * MILLIS_IN_HOUR;
+        if (end <= start) {
+            return [];
+        }
+
+        let slots = [{ start, end }];
+        everyone.forEach(scheduler => scheduler.getFixedBlockIntervals(date).forEach(interval => {
+            slots = this._subtractTime(slots, interval.startMillis, interval.endMillis);
+        }));
+        return slots.filter(slot => slot.end - slot.start >= minMinutes * MILLIS_IN_MINUTE);
+    }
+
     deleteFixedBlock(blockId) {
         this.fixedBlocks = this.fixedBlocks.filter(block => block.id !== blockId);
         this.saveData();
     }
 
+    // Work sessions are kept: they are the record of time worked, which reports still count
     deleteTask(taskId) {
         this.tasks = this.tasks.filter(task => task.id !== taskId);
+        this.pinnedActivities = this.pinnedActivities.filter(activity => activity.taskId !== taskId);
+        // Review topics outlive their task; they keep their own name
+        this.reviewItems.forEach(item => {
+            if (item.taskId === taskId) item.taskId = null;
+        });
+        this.tasks.forEach(task => {
+            task.prerequisiteIds = task.prerequisiteIds.filter(id => id !== taskId);
+        });
+        this.saveData();
+    }
+
+    // --- Task Dependencies ---
+    // Links prerequisiteId as a step that must happen before taskId. Refuses links that would form a cycle.
+    addPrerequisite(taskId, prerequisiteId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || !this.tasks.some(t => t.id === prerequisiteId)) {
+            return false;
+        }
+        if (task.prerequisiteIds.includes(prerequisiteId)) {
+            return true;
+        }
+        if (this.wouldCreateCycle(taskId, prerequisiteId)) {
+            return false;
+        }
+        task.prerequisiteIds.push(prerequisiteId);
+        this.saveData();
+        return true;
+    }
+
+    removePrerequisite(taskId, prerequisiteId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (task) {
+            task.prerequisiteIds = task.prerequisiteIds.filter(id => id !== prerequisiteId);
+            this.saveData();
+        }
+    }
+
+    // True if taskId is already (directly or indirectly) a prerequisite of prerequisiteId
+    wouldCreateCycle(taskId, prerequisiteId) {
+        const visited = new Set();
+        const stack = [prerequisiteId];
+        while (stack.length > 0) {
+            const currentId = stack.pop();
+            if (currentId === taskId) {
+                return true;
+            }
+            if (visited.has(currentId)) continue;
+            visited.add(currentId);
+            const current = this.tasks.find(t => t.id === currentId);
+            if (current) {
+                stack.push(...current.prerequisiteIds);
+            }
+        }
+        return false;
+    }
+
+    // Prerequisites of a task that are not completed yet
+    getBlockingTasks(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) {
+            return [];
+        }
+        return task.prerequisiteIds
+            .map(id => this.tasks.find(t => t.id === id))
+            .filter(prerequisite => prerequisite && !prerequisite.isCompleted);
+    }
+
+
+    // --- Pinned Activities ---
+    // Pins are activities the user moved or resized by hand. The generator keeps them where they are
+    // and reflows everything else around them.
+
+    // Pins an activity (generated or already pinned) at the given time. Refuses times that clash
+    // with fixed blocks or other pins, and locked pins. Returns the pinned activity, or null.
+    pinActivity(activity, startMillis, endMillis) {
+        if (endMillis <= startMillis || this.findPinConflicts(startMillis, endMillis, activity.id).length > 0) {
+            return null;
+        }
+        let pinned = this.pinnedActivities.find(a => a.id === activity.id);
+        if (pinned && pinned.isLocked) {
+            return null;
+        }
+        if (!pinned) {
+            pinned = new ScheduledActivity(
+                null, activity.type, activity.name, startMillis, endMillis, activity.taskId, true, false, activity.reviewItemId, activity.subtaskId
+            );
+            this.pinnedActivities.push(pinned);
+        }
+        pinned.startMillis = startMillis;
+        pinned.endMillis = endMillis;
+        this.saveData();
+        return pinned;
+    }
+
+    unpinActivity(activityId) {
+        const pinned = this.pinnedActivities.find(a => a.id === activityId);
+        if (!pinned || pinned.isLocked) {
+            return false;
+        }
+        this.pinnedActivities = this.pinnedActivities.filter(a => a.id !== activityId);
+        this.saveData();
+        return true;
+    }
+
+    setActivityLocked(activityId, isLocked) {
+        const pinned = this.pinnedActivities.find(a => a.id === activityId);
+        if (pinned) {
+            pinned.isLocked = isLocked;
+            this.saveData();
+        }
+    }
+
+    // Names of the fixed blocks and other pins that overlap the given time range
+    findPinConflicts(startMillis, endMillis, ignoreActivityId = null) {
+        const conflicts = [];
+        for (let day = this._startOfDay(new Date(startMillis)); day.getTime() < endMillis; day.setDate(day.getDate() + 1)) {
+            const { activities } = this._getDayAvailability(new Date(day), 0);
+            activities
+                .filter(activity => activity.startMillis < endMillis && activity.endMillis > startMillis)
+                .forEach(activity => conflicts.push(activity.name));
+        }
+        this.pinnedActivities
+            .filter(activity => activity.id !== ignoreActivityId && activity.startMillis < endMillis && activity.endMillis > startMillis)
+            .forEach(activity => conflicts.push(activity.name));
+        return conflicts;
+    }
+
+    // --- Missed Work & Catch Up ---
+    // Committed plans and pins record what was planned. A planned task chunk whose time has passed
+    // without any work on that task is missed; a session that ran past the end of its chunk is an overrun.
+
+    // Reviews planned work that ended since the last catch up. extraSessions can hold work that isn't
+    // saved yet, such as a running timer.
+    // Returns { missed: [{ activity, minutes, displacedBy }], overruns: [{ session, activity, minutes }], atRisk: [deadline reports] }
+    reviewPlannedWork(nowMillis = this.clock.now(), extraSessions = []) {
+        const sessions = this.workSessions.concat(extraSessions);
+        const overlaps = (session, activity) => session.startMillis < activity.endMillis && session.endMillis > activity.startMillis;
+
+        // A pinned chunk also shows up in the committed plan of its day under the same ID
+        const plannedById = {};
+        Object.values(this.committedPlans).concat([this.pinnedActivities]).forEach(activities => {
+            activities.forEach(activity => { plannedById[activity.id] = activity; });
+        });
+        const plannedChunks = Object.values(plannedById).filter(activity => {
+            const task = this.tasks.find(t => t.id === activity.taskId);
+            return activity.type === 'TASK' && task && !task.isCompleted &&
+                activity.endMillis > this.lastCatchUpMillis && activity.startMillis < nowMillis;
+        });
+
+        const missed = plannedChunks
+            .filter(activity => activity.endMillis <= nowMillis &&
+                !sessions.some(session => session.taskId === activity.taskId && overlaps(session, activity)))
+            .map(activity => {
+                // Work on another task during this chunk usually means that task ran over
+                const displacing = sessions.find(session => session.taskId !== activity.taskId && overlaps(session, activity));
+                const displacedBy = displacing ? this.tasks.find(t => t.id === displacing.taskId) || null : null;
+                return { activity, minutes: (activity.endMillis - activity.startMillis) / MILLIS_IN_MINUTE, displacedBy };
+            });
+
+        const overruns = [];
+        sessions
+            .filter(session => session.endMillis > this.lastCatchUpMillis)
+            .forEach(session => {
+                // Compare with the last chunk of the same task the session worked in
+                const chunk = plannedChunks
+                    .filter(activity => activity.taskId === session.taskId && overlaps(session, activity))
+                    .sort((a, b) => b.endMillis - a.endMillis)[0];
+                const overrunMinutes = chunk ? Math.round((session.endMillis - chunk.endMillis) / MILLIS_IN_MINUTE) : 0;
+                if (overrunMinutes > 0) {
+                    overruns.push({ session, activity: chunk, minutes: overrunMinutes });
+                }
+            });
+
+        const affectedTaskIds = new Set(missed.map(item => item.activity.taskId).concat(overruns.map(item => item.session.taskId)));
+        const atRisk = this.analyzeDeadlines().filter(report => affectedTaskIds.has(report.taskId) && report.status !== 'ON_TRACK');
+
+        return { missed, overruns, atRisk };
+    }
+
+    // Replans around missed work: today's committed plan is re-committed from now, so missed minutes
+    // (still remaining on their tasks) move into the next free slots or the following days.
+    // Pins whose time passed without work are released. Returns the reviewed { missed, overruns, atRisk }.
+    catchUp(nowMillis = this.clock.now()) {
+        const review = this.reviewPlannedWork(nowMillis);
+        const missedIds = new Set(review.missed.map(item => item.activity.id));
+        this.pinnedActivities = this.pinnedActivities.filter(activity => !missedIds.has(activity.id));
+
+        this.lastCatchUpMillis = nowMillis;
+        const today = new Date(nowMillis);
+        if (this.getCommittedPlan(today)) {
+            this.committedPlans[formatDateKey(today)] = this._replanCommittedDay(today, nowMillis);
+        }
+        this.saveData();
+        return review;
+    }
+
+    // Stops reporting the planned work reviewed so far, without replanning
+    dismissMissedWork(nowMillis = this.clock.now()) {
+        this.lastCatchUpMillis = nowMillis;
+        this.saveData();
+    }
+
+    // --- Subtasks ---
+    // A task with subtasks is estimated as the sum of its subtasks and is complete once they all are.
+
+    addSubtask(taskId, subtask) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) {
+            return false;
+        }
+        task.subtasks.push(subtask);
+        this._syncSubtaskEstimate(task);
+        this.saveData();
+        return true;
+    }
+
+    deleteSubtask(taskId, subtaskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) {
+            return;
+        }
+        task.subtasks = task.subtasks.filter(subtask => subtask.id !== subtaskId);
+        this.pinnedActivities = this.pinnedActivities.filter(activity => activity.subtaskId !== subtaskId);
+        if (task.subtasks.length > 0) {
+            this._syncSubtaskEstimate(task);
+        } else {
+            this._syncRemainingMinutes();
+        }
+        this.saveData();
+    }
+
+    // Ticking off the last open subtask completes the task; reopening one reopens the task
+    setSubtaskCompleted(taskId, subtaskId, isCompleted = true) {
+        const task = this.tasks.find(t => t.id === taskId);
+        const subtask = task && task.subtasks.find(st => st.id === subtaskId);
+        if (!subtask) {
+            return false;
+        }
+        subtask.isCompleted = isCompleted;
+        if (!isCompleted) {
+            task.isCompleted = false;
+            task.completedAt = null;
+        }
+        if (task.subtasks.every(st => st.isCompleted) && !task.isCompleted) {
+            this._setTaskCompleted(task);
+        } else {
+            this._syncRemainingMinutes();
+        }
+        this.saveData();
+        return true;
+    }
+
+    _syncSubtaskEstimate(task) {
+        task.estimatedMinutes = task.subtasks.reduce((total, subtask) => total + subtask.estimatedMinutes, 0);
+        if (task.subtasks.some(subtask => !subtask.isCompleted)) {
+            task.isCompleted = false;
+            task.completedAt = null;
+        }
+        this._syncRemainingMinutes();
+    }
+
+    // Where each open subtask ends within the task's planning minutes, which may be a corrected
+    // estimate, so the plan can be split into subtask-sized chunks. Returns [{ subtask, endMinutes }]
+    _getSubtaskPlan(task, planningMinutes) {
+        const openSubtasks = task.subtasks.filter(subtask => subtask.remainingMinutes > 0);
+        const totalMinutes = openSubtasks.reduce((total, subtask) => total + subtask.remainingMinutes, 0);
+        let endMinutes = 0;
+        return openSubtasks.map(subtask => {
+            endMinutes += subtask.remainingMinutes * planningMinutes / totalMinutes;
+            return { subtask, endMinutes };
+        });
+    }
+
+    // --- Spaced Repetition ---
+    // Completed STUDY and HOMEWORK tasks and named topics are reviewed at growing intervals.
+    // Each rating moves the topic along REVIEW_INTERVALS_DAYS: AGAIN starts over, HARD repeats
+    // the current interval, GOOD moves one step on and EASY two.
+
+    addReviewTopic(topic, taskId = null, learnedDate = new Date(this.clock.now())) {
+        const item = new ReviewItem(null, topic, taskId, this._addDaysToKey(formatDateKey(learnedDate), REVIEW_INTERVALS_DAYS[0]));
+        this.reviewItems.push(item);
+        this.saveData();
+        return item;
+    }
+
+    // Returns the updated item, or null if the item or rating is unknown
+    rateReview(itemId, rating, date = new Date(this.clock.now())) {
+        const item = this.reviewItems.find(i => i.id === itemId);
+        if (!item || !REVIEW_RATINGS.includes(rating)) {
+            return null;
+        }
+        const stepChange = { AGAIN: -item.step, HARD: 0, GOOD: 1, EASY: 2 };
+        item.step += stepChange[rating];
+        const dateKey = formatDateKey(date);
+        item.dueDate = this._addDaysToKey(dateKey, this._getReviewIntervalDays(item.step));
+        item.history.push({ date: dateKey, rating });
+        this.saveData();
+        return item;
+    }
+
+    deleteReviewItem(itemId) {
+        this.reviewItems = this.reviewItems.filter(item => item.id !== itemId);
         this.saveData();
     }
 
+    // Items due on the given day or earlier, most overdue first
+    getDueReviews(date) {
+        const dateKey = formatDateKey(date);
+        return this.reviewItems
+            .filter(item => item.dueDate <= dateKey)
+            .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+    }
+
+    // Queues a completed task for review (once), without saving
+    _enqueueReview(task) {
+        if (REVIEWED_TASK_TYPES.includes(task.type) && !this.reviewItems.some(item => item.taskId === task.id)) {
+            this.reviewItems.push(new ReviewItem(null, task.name, task.id, this._addDaysToKey(formatDateKey(new Date(this.clock.now())), REVIEW_INTERVALS_DAYS[0])));
+        }
+    }
+
+    _getReviewIntervalDays(step) {
+        const lastStep = REVIEW_INTERVALS_DAYS.length - 1;
+        return step <= lastStep ? REVIEW_INTERVALS_DAYS[step] : REVIEW_INTERVALS_DAYS[lastStep] * Math.pow(2, step - lastStep);
+    }
+
+    _addDaysToKey(dateKey, days) {
+        const date = parseDateKey(dateKey);
+        date.setDate(date.getDate() + days);
+        return formatDateKey(date);
+    }
+
+    // --- Committed Plans ---
+    // A committed plan is a snapshot of what was planned for a day. It is stored separately
+    // from the tasks, so committing never changes how much work is left.
+    // Committing again (after a pin change or a re-plan) only replaces the part of the day still to come.
+    commitPlan(date) {
+        const activities = this._replanCommittedDay(date, this.clock.now());
+        this.committedPlans[formatDateKey(date)] = activities;
+        this.saveData();
+        return activities;
+    }
+
+    // A fresh plan for date, after whatever an existing committed plan had for the part of the day
+    // that is over, so the plan stays a record of it for missed work and planned-vs-actual reports
+    _replanCommittedDay(date, nowMillis) {
+        const earlier = (this.getCommittedPlan(date) || []).filter(activity => activity.endMillis <= nowMillis);
+        return earlier.concat(this.generateDailySchedule(date));
+    }
+
+    getCommittedPlan(date) {
+        return this.committedPlans[formatDateKey(date)] || null;
+    }
+
+    clearCommittedPlan(date) {
+        delete this.committedPlans[formatDateKey(date)];
+        this.saveData();
+    }
 
     // --- Core Schedule Generation ---
+    // Generation is a pure computation: it never changes tasks or saves anything.
     generateDailySchedule(targetDate) {
-        const dayOfWeek = targetDate.toLocaleString('en-US', { weekday: 'long' }).toUpperCase();
-        
-        // --- NEW: Normalize targetDate to start of current time, not start of day
-        const nowMillis = Date.now();
-        const startOfDay = new Date(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate());
-        const startOfDayMillis = startOfDay.getTime();
-        const endOfDayMillis = startOfDayMillis + MILLIS_IN_DAY - 1;
-        
-        let scheduledActivities = [];
-        
-        // Initial available time starts from now, not the start of the day
-        let initialAvailableStartMillis = nowMillis;
-        if (initialAvailableStartMillis < startOfDayMillis) {
-            initialAvailableStartMillis = startOfDayMillis; // In case the clock is off
+        return this.generatePlan(targetDate, targetDate).days[0].activities;
+    }
+
+    // Plans all pending tasks across every day from startDate to endDate (inclusive).
+    // Returns { startDate, endDate, days: [{ date, activities }], unscheduled: [{ taskId, minutes }] }
+    generatePlan(startDate, endDate) {
+        const firstDay = this._startOfDay(startDate);
+        const lastDay = this._startOfDay(endDate);
+        const nowMillis = this.clock.now();
+
+        // Work on a copy of each task's remaining time so the plan can span several days
+        const pendingTasks = this._getSortedPendingTasks();
+        const accuracy = this.getEstimateAccuracy();
+        const remainingByTaskId = new Map(pendingTasks.map(task => [task.id, this.getPlanningMinutes(task, accuracy)]));
+        const lastChunkEndByTaskId = new Map(); // When each task's last planned chunk ends
+        const planningMinutesByTaskId = new Map(remainingByTaskId); // Before anything is planned
+        const placedReviewIds = new Set(); // Overdue reviews are placed once, on the first day with room
+        const planState = { remainingByTaskId, planningMinutesByTaskId, lastChunkEndByTaskId, placedReviewIds };
+
+        const days = [];
+        for (let day = new Date(firstDay); day <= lastDay; day.setDate(day.getDate() + 1)) {
+            const date = new Date(day);
+            const { activities, availableTimeSlots } = this._getDayAvailability(date, nowMillis);
+
+            let slots = this._applyPinnedActivities(date, planState, availableTimeSlots, activities, nowMillis);
+            pendingTasks.forEach(task => {
+                slots = this._scheduleTaskForDay(task, planState, slots, activities, nowMillis);
+            });
+
+            this._scheduleReviews(date, planState, slots, activities);
+
+            activities.sort((a, b) => a.startMillis - b.startMillis);
+            days.push({ date, activities });
         }
-        
-        let availableTimeSlots = [{ start: initialAvailableStartMillis, end: endOfDayMillis }];
 
-        // 1. Mark all fixed blocks, including "ALL_DAYS" and today's day
-        const blocksForToday = this.fixedBlocks.filter(block => 
-            block.dayOfWeek === dayOfWeek || block.dayOfWeek === 'ALL_DAYS'
-        );
+        const unscheduled = pendingTasks
+            .filter(task => remainingByTaskId.get(task.id) > 0)
+            .map(task => ({ taskId: task.id, minutes: remainingByTaskId.get(task.id) }));
+
+        return { startDate: firstDay, endDate: lastDay, days, unscheduled };
+    }
+
+    // Places the day's pinned activities first. Pinned task time still to come counts toward the task's remaining work.
+    // Returns the slots that are still free.
+    _applyPinnedActivities(date, planState, availableTimeSlots, activities, nowMillis) {
+        const startOfDayMillis = this._startOfDay(date).getTime();
+        const nextDay = new Date(date);
+        nextDay.setDate(nextDay.getDate() + 1);
+        const startOfNextDayMillis = this._startOfDay(nextDay).getTime();
+
+        let slots = availableTimeSlots;
+        this.pinnedActivities
+            .filter(pinned => pinned.startMillis >= startOfDayMillis && pinned.startMillis < startOfNextDayMillis && pinned.endMillis > nowMillis)
+            .forEach(pinned => {
+                if (pinned.type === 'TASK') {
+                    const task = this.tasks.find(t => t.id === pinned.taskId);
+                    if (!task || task.isCompleted) return;
+                    if (planState.remainingByTaskId.has(task.id)) {
+                        // Work logged during a pin that has started is already off the remaining time, so only the rest counts
+                        const pinnedMinutes = (pinned.endMillis - Math.max(pinned.startMillis, nowMillis)) / MILLIS_IN_MINUTE;
+                        planState.remainingByTaskId.set(task.id, Math.max(0, planState.remainingByTaskId.get(task.id) - pinnedMinutes));
+                        planState.lastChunkEndByTaskId.set(task.id, Math.max(planState.lastChunkEndByTaskId.get(task.id) || 0, pinned.endMillis));
+                    }
+                }
+                if (pinned.reviewItemId) {
+                    planState.placedReviewIds.add(pinned.reviewItemId);
+                }
+                activities.push(new ScheduledActivity(
+                    pinned.id, pinned.type, pinned.name, pinned.startMillis, pinned.endMillis, pinned.taskId,
+                    true, pinned.isLocked, pinned.reviewItemId, pinned.subtaskId
+                ));
+                slots = this._subtractTime(slots, pinned.startMillis, pinned.endMillis);
+            });
+        return slots;
+    }
+
+    _startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    // Returns the fixed-block activities for a day and the free time left around them
+    _getDayAvailability(date, nowMillis) {
+        const dayOfWeek = getWeekdayName(date);
+        const startOfDayMillis = this._startOfDay(date).getTime();
+
+        const activities = [];
 
-        blocksForToday.forEach(fixedBlock => {
-            const blockStartMillis = startOfDayMillis + (fixedBlock.startHour * MILLIS_IN_HOUR) + (fixedBlock.startMinute * MILLIS_IN_MINUTE);
-            const blockEndMillis = startOfDayMillis + (fixedBlock.endHour * MILLIS_IN_HOUR) + (fixedBlock.endMinute * MILLIS_IN_MINUTE);
+        // Available time starts from now (rounded up to the next minute), not the start of the day
+        let initialAvailableStartMillis = Math.ceil(nowMillis / MILLIS_IN_MINUTE) * MILLIS_IN_MINUTE;
+        if (initialAvailableStartMillis < startOfDayMillis) {
+            initialAvailableStartMillis = startOfDayMillis;
+        }
 
+        // Only the working window of the day is available for planning
+        let availableTimeSlots = [];
+        const workingWindow = this.getWorkingWindow(dayOfWeek);
+        if (workingWindow) {
+            const windowStartMillis = Math.max(initialAvailableStartMillis, startOfDayMillis + workingWindow.startHour * MILLIS_IN_HOUR);
+            const windowEndMillis = startOfDayMillis + workingWindow.endHour * MILLIS_IN_HOUR;
+            if (windowStartMillis < windowEndMillis) {
+                availableTimeSlots = [{ start: windowStartMillis, end: windowEndMillis }];
+            }
+        }
+
+        // Mark all fixed blocks that occur on this date (recurrence, validity range and exceptions),
+        // including the morning part of overnight blocks from the day before
+        this.getFixedBlockIntervals(date).forEach(({ block: fixedBlock, startMillis: blockStartMillis, endMillis: blockEndMillis }) => {
             // Add fixed block to scheduled activities only if it's in the future
             if (blockEndMillis > initialAvailableStartMillis) {
-                scheduledActivities.push(new ScheduledActivity(
+                activities.push(new ScheduledActivity(
                     null, 'FIXED_BLOCK', fixedBlock.description, blockStartMillis, blockEndMillis
                 ));
             }
-            
+
             // Remove this block from available time, regardless of whether it's in the past or future
             availableTimeSlots = this._subtractTime(availableTimeSlots, blockStartMillis, blockEndMillis);
         });
 
-        // 2. Filter and Sort incomplete tasks with remaining time
-        let pendingTasks = this.tasks.filter(task => !task.isCompleted && task.remainingMinutes > 0);
+        return { activities, availableTimeSlots };
+    }
 
-        // Sort: High priority > Medium > Low. Then by deadline (earliest first).
-        pendingTasks.sort((a, b) => {
-            const priorityOrder = { 'HIGH': 3, 'MEDIUM': 2, 'LOW': 1 };
-            if (priorityOrder[b.priority] !== priorityOrder[a.priority]) {
-                return priorityOrder[b.priority] - priorityOrder[a.priority];
+    // Incomplete tasks with remaining time. High priority > Medium > Low, then by deadline (earliest first),
+    // except that a task always comes after its pending prerequisites.
+    _getSortedPendingTasks() {
+        const priorityOrder = { 'HIGH': 3, 'MEDIUM': 2, 'LOW': 1 };
+        const byPriority = this.tasks
+            .filter(task => !task.isCompleted && task.remainingMinutes > 0)
+            .sort((a, b) => {
+                if (priorityOrder[b.priority] !== priorityOrder[a.priority]) {
+                    return priorityOrder[b.priority] - priorityOrder[a.priority];
+                }
+                return a.deadline.getTime() - b.deadline.getTime();
+            });
+
+        // Repeatedly take the first task (in priority order) whose pending prerequisites are all placed
+        const pendingIds = new Set(byPriority.map(task => task.id));
+        const placedIds = new Set();
+        const ordered = [];
+        while (ordered.length < byPriority.length) {
+            const next = byPriority.find(task => !placedIds.has(task.id) &&
+                task.prerequisiteIds.every(id => !pendingIds.has(id) || placedIds.has(id)));
+            if (!next) {
+                // Only reachable with a cycle in stored data; fall back to priority order for the rest
+                ordered.push(...byPriority.filter(task => !placedIds.has(task.id)));
+                break;
             }
-            return a.deadline.getTime() - b.deadline.getTime();
-        });
+            placedIds.add(next.id);
+            ordered.push(next);
+        }
+        return ordered;
+    }
 
-        const CHUNK_SIZE_MINUTES = 120; // Default 2 hours for breaking down tasks
-        const MIN_TASK_CHUNK_MINUTES = 30; // Minimum chunk size
-        const SHORT_BREAK_MINUTES = 5; // 5 minute breaks
-        
-        // 3. Schedule Tasks
-        let tasksForScheduling = pendingTasks.map(task => ({ ...task }));
-
-        tasksForScheduling.forEach(task => {
-            let currentTaskRemaining = task.remainingMinutes;
-            const now = new Date();
-            const timeUntilDeadlineMillis = task.deadline.getTime() - now.getTime();
-            const daysUntilDeadline = timeUntilDeadlineMillis / MILLIS_IN_DAY;
-
-            // --- NEW: Logic to spread out tasks based on deadline
-            let dailyGoalMinutes;
-            if (daysUntilDeadline > 0 && task.remainingMinutes > 0) {
-                // Calculate a daily goal. The closer the deadline, the larger the daily goal.
-                const bufferDays = 1; // leave one day as buffer
-                let effectiveDays = Math.max(1, daysUntilDeadline - bufferDays); 
-                dailyGoalMinutes = Math.min(CHUNK_SIZE_MINUTES, Math.ceil(task.remainingMinutes / effectiveDays));
-                // Ensure daily goal is at least a minimum size
-                dailyGoalMinutes = Math.max(MIN_TASK_CHUNK_MINUTES, dailyGoalMinutes);
-            } else {
-                dailyGoalMinutes = task.remainingMinutes; // If deadline is today, schedule all remaining time
+    // Places today's share of a task into the free slots. Returns the slots that are still free.
+    _scheduleTaskForDay(task, planState, availableTimeSlots, activities, nowMillis) {
+        const { chunkMinutes: maxChunkMinutes, minChunkMinutes } = this.settings;
+        const { remainingByTaskId, lastChunkEndByTaskId } = planState;
+
+        let currentTaskRemaining = remainingByTaskId.get(task.id);
+        if (currentTaskRemaining <= 0 || availableTimeSlots.length === 0) {
+            return availableTimeSlots;
+        }
+
+        // A task can't start until every pending prerequisite is fully planned, and only after its last chunk
+        let earliestStartMillis = 0;
+        for (const prerequisiteId of task.prerequisiteIds) {
+            if (!remainingByTaskId.has(prerequisiteId)) continue; // Already completed
+            if (remainingByTaskId.get(prerequisiteId) > 0) {
+                return availableTimeSlots;
             }
+            earliestStartMillis = Math.max(earliestStartMillis, lastChunkEndByTaskId.get(prerequisiteId) || 0);
+        }
 
-            // Schedule chunks up to the daily goal
-            let scheduledTodayMinutes = 0;
+        const dayStartMillis = Math.max(nowMillis, availableTimeSlots[0].start);
+        // Work is never planned past a deadline still ahead; what doesn't fit before it stays unscheduled.
+        // A task already overdue is planned as soon as possible instead.
+        const latestEndMillis = task.deadline.getTime() > nowMillis ? task.deadline.getTime() : Infinity;
+        const dailyGoalMinutes = this._getDailyGoalMinutes(task, planState, dayStartMillis);
+        const planningMinutes = planState.planningMinutesByTaskId.get(task.id);
+        const subtaskPlan = this._getSubtaskPlan(task, planningMinutes);
 
-            // Re-sort available slots to prioritize earlier times
-            availableTimeSlots.sort((a, b) => a.start - b.start);
+        let scheduledTodayMinutes = 0;
 
-            for (let i = 0; i < availableTimeSlots.length && currentTaskRemaining > 0 && scheduledTodayMinutes < dailyGoalMinutes; i++) {
-                const slot = availableTimeSlots[i];
-                let slotDurationMinutes = (slot.end - slot.start) / MILLIS_IN_MINUTE;
-                
-                if (slotDurationMinutes <= 0) continue;
+        while (currentTaskRemaining > 0 && scheduledTodayMinutes < dailyGoalMinutes) {
+            // A chunk never runs past the end of the subtask it works on
+            const plannedMinutes = planningMinutes - currentTaskRemaining;
+            const step = subtaskPlan.find(entry => entry.endMinutes > plannedMinutes);
+            const stepMinutesLeft = step ? Math.ceil(step.endMinutes - plannedMinutes) : currentTaskRemaining;
 
-                // Determine the chunk size for this slot, limited by daily goal and slot duration
-                let potentialChunkMinutes = Math.min(currentTaskRemaining, dailyGoalMinutes - scheduledTodayMinutes, slotDurationMinutes);
+            // Ensure chunk is large enough for a meaningful session (unless it finishes the task or subtask)
+            const neededMinutes = Math.min(minChunkMinutes, currentTaskRemaining, stepMinutesLeft);
+            if (dailyGoalMinutes - scheduledTodayMinutes < neededMinutes) {
+                break;
+            }
+            const candidate = this._pickChunkStart(task, availableTimeSlots, earliestStartMillis, neededMinutes, latestEndMillis);
+            if (!candidate) {
+                break;
+            }
+            const { chunkStartMillis, limitEndMillis, slotEndMillis } = candidate;
+            const roomMinutes = Math.floor((limitEndMillis - chunkStartMillis) / MILLIS_IN_MINUTE);
 
-                // Ensure chunk is large enough for a meaningful session
-                if (potentialChunkMinutes < MIN_TASK_CHUNK_MINUTES) {
-                    continue; // Skip if chunk is too small
-                }
-                
-                // Ensure we have enough slot for the task chunk + a break
-                if (slotDurationMinutes >= potentialChunkMinutes + SHORT_BREAK_MINUTES) {
-                    const chunkStartMillis = slot.start;
-                    const chunkEndMillis = chunkStartMillis + (potentialChunkMinutes * MILLIS_IN_MINUTE);
-
-                    scheduledActivities.push(new ScheduledActivity(
-                        null, 'TASK', task.name, chunkStartMillis, chunkEndMillis, task.id
-                    ));
-
-                    // Add a break immediately after
-                    const breakStartMillis = chunkEndMillis;
-                    const breakEndMillis = breakStartMillis + (SHORT_BREAK_MINUTES * MILLIS_IN_MINUTE);
-                    scheduledActivities.push(new ScheduledActivity(
-                        null, 'BREAK', 'Short Break', breakStartMillis, breakEndMillis
-                    ));
-
-                    availableTimeSlots = this._subtractTime(availableTimeSlots, chunkStartMillis, breakEndMillis);
-                    currentTaskRemaining -= potentialChunkMinutes;
-                    scheduledTodayMinutes += potentialChunkMinutes;
-                    
-                } else if (slotDurationMinutes >= potentialChunkMinutes) {
-                    // Fit the chunk without a break if the slot isn't big enough for both
-                    const chunkStartMillis = slot.start;
-                    const chunkEndMillis = chunkStartMillis + (potentialChunkMinutes * MILLIS_IN_MINUTE);
-                    scheduledActivities.push(new ScheduledActivity(
-                        null, 'TASK', task.name, chunkStartMillis, chunkEndMillis, task.id
-                    ));
-                    availableTimeSlots = this._subtractTime(availableTimeSlots, chunkStartMillis, chunkEndMillis);
-                    currentTaskRemaining -= potentialChunkMinutes;
-                    scheduledTodayMinutes += potentialChunkMinutes;
-                }
+            // Chunk size is limited by the remaining work, the daily goal, the room left and the max chunk length
+            const chunkMinutes = Math.min(currentTaskRemaining, dailyGoalMinutes - scheduledTodayMinutes, roomMinutes, maxChunkMinutes, stepMinutesLeft);
+
+            const chunkEndMillis = chunkStartMillis + (chunkMinutes * MILLIS_IN_MINUTE);
+            activities.push(new ScheduledActivity(
+                null, 'TASK', step ? `${task.name}: ${step.subtask.name}` : task.name, chunkStartMillis, chunkEndMillis, task.id,
+                false, false, null, step ? step.subtask.id : null
+            ));
+            lastChunkEndByTaskId.set(task.id, chunkEndMillis);
+
+            // Add a break immediately after, if the slot is big enough for both
+            const { breakName, breakMinutes } = this._getBreakAfterChunk(activities);
+            let usedEndMillis = chunkEndMillis;
+            if (chunkEndMillis + breakMinutes * MILLIS_IN_MINUTE <= slotEndMillis) {
+                usedEndMillis = chunkEndMillis + (breakMinutes * MILLIS_IN_MINUTE);
+                activities.push(new ScheduledActivity(
+                    null, 'BREAK', breakName, chunkEndMillis, usedEndMillis
+                ));
             }
-            
-            // Update the actual task's remaining minutes in the main tasks array
-            const originalTask = this.tasks.find(t => t.id === task.id);
-            if (originalTask) {
-                originalTask.remainingMinutes = currentTaskRemaining;
+
+            availableTimeSlots = this._subtractTime(availableTimeSlots, chunkStartMillis, usedEndMillis);
+            currentTaskRemaining -= chunkMinutes;
+            scheduledTodayMinutes += chunkMinutes;
+        }
+
+        remainingByTaskId.set(task.id, currentTaskRemaining);
+        return availableTimeSlots;
+    }
+
+    // Spreads a task out based on its deadline: the closer the deadline, the larger the daily goal.
+    // A subtask deadline works the same way for the part of the task up to and including that subtask.
+    _getDailyGoalMinutes(task, planState, dayStartMillis) {
+        const { minChunkMinutes, bufferDays } = this.settings;
+        const remainingMinutes = planState.remainingByTaskId.get(task.id);
+        const goalFor = (minutes, deadline) => {
+            const daysUntilDeadline = (deadline.getTime() - dayStartMillis) / MILLIS_IN_DAY;
+            if (daysUntilDeadline <= 0) {
+                return minutes; // If the deadline is today (or passed), schedule all remaining time
             }
-        });
-        
-        this.saveData(); // Save the updated remainingMinutes for tasks
+            const effectiveDays = Math.max(1, daysUntilDeadline - bufferDays);
+            return Math.max(minChunkMinutes, Math.ceil(minutes / effectiveDays));
+        };
 
-        // 4. Fill remaining free time with "Revise Old Chapters"
-        const REVISION_BLOCK_MINUTES = 60; // 1 hour revision blocks
-        const MIN_REVISION_BLOCK_MINUTES = 30; // Minimum size for a revision block
+        let dailyGoalMinutes = goalFor(remainingMinutes, task.deadline);
+        const planningMinutes = planState.planningMinutesByTaskId.get(task.id);
+        this._getSubtaskPlan(task, planningMinutes)
+            .filter(entry => entry.subtask.deadline)
+            .forEach(entry => {
+                const minutesDue = Math.ceil(entry.endMinutes - (planningMinutes - remainingMinutes));
+                if (minutesDue > 0) {
+                    dailyGoalMinutes = Math.max(dailyGoalMinutes, goalFor(Math.min(minutesDue, remainingMinutes), entry.subtask.deadline));
+                }
+            });
+        return dailyGoalMinutes;
+    }
 
-        availableTimeSlots.sort((a, b) => a.start - b.start);
+    // Chooses where the next chunk of a task starts. Candidates are the start of each free slot and every
+    // hour where the task type's preferences change; the best scoring one wins, the earliest on a tie.
+    // Chunks end by latestEndMillis. Returns { chunkStartMillis, limitEndMillis, slotEndMillis } or null when no candidate has room.
+    _pickChunkStart(task, availableTimeSlots, earliestStartMillis, neededMinutes, latestEndMillis = Infinity) {
+        const preference = this.settings.typePreferences[task.type] || {};
+        const boundaryHours = [preference.preferredStartHour, preference.preferredEndHour]
+            .concat(...this.settings.energyWindows.map(window => [window.startHour, window.endHour]))
+            .filter(hour => hour !== null && hour !== undefined);
 
+        let best = null;
         availableTimeSlots.forEach(slot => {
-            let currentSlotRemaining = (slot.end - slot.start) / MILLIS_IN_MINUTE;
-            let currentSlotStart = slot.start;
-
-            while (currentSlotRemaining >= MIN_REVISION_BLOCK_MINUTES) {
-                let actualRevisionMinutes = Math.min(currentSlotRemaining, REVISION_BLOCK_MINUTES);
-                
-                const revisionEnd = currentSlotStart + (actualRevisionMinutes * MILLIS_IN_MINUTE);
-                scheduledActivities.push(new ScheduledActivity(
-                    null, 'REVISION', 'Revise Old Chapters', currentSlotStart, revisionEnd
-                ));
-                currentSlotStart = revisionEnd;
-                currentSlotRemaining -= actualRevisionMinutes;
+            const dayStartMillis = this._startOfDay(new Date(slot.start)).getTime();
+            const atHour = hour => dayStartMillis + hour * MILLIS_IN_HOUR;
+            const startMillis = Math.max(slot.start, earliestStartMillis, preference.earliestHour != null ? atHour(preference.earliestHour) : 0);
+            const limitEndMillis = Math.min(slot.end, latestEndMillis, preference.latestHour != null ? atHour(preference.latestHour) : Infinity);
+
+            [startMillis, ...boundaryHours.map(atHour)]
+                .filter(candidateMillis => candidateMillis >= startMillis &&
+                    limitEndMillis - candidateMillis >= neededMinutes * MILLIS_IN_MINUTE)
+                .forEach(candidateMillis => {
+                    const score = this._scoreChunkStart(preference, (candidateMillis - dayStartMillis) / MILLIS_IN_HOUR);
+                    if (!best || score > best.score || (score === best.score && candidateMillis < best.chunkStartMillis)) {
+                        best = { chunkStartMillis: candidateMillis, limitEndMillis, slotEndMillis: slot.end, score };
+                    }
+                });
+        });
+        return best;
+    }
+
+    // Preferred hours count more than a matching energy level; working against the energy level counts against
+    _scoreChunkStart(preference, hour) {
+        let score = 0;
+        if (preference.preferredStartHour != null && hour >= preference.preferredStartHour && hour < preference.preferredEndHour) {
+            score += 2;
+        }
+        if (preference.energy) {
+            const energyWindow = this.settings.energyWindows.find(window => hour >= window.startHour && hour < window.endHour);
+            if (energyWindow) {
+                score += energyWindow.level === preference.energy ? 1 : -1;
             }
+        }
+        return score;
+    }
+
+    // Every Nth task chunk of the day gets a long break instead of a short one
+    _getBreakAfterChunk(activities) {
+        const { shortBreakMinutes, longBreakMinutes, chunksBeforeLongBreak } = this.settings;
+        const chunksToday = activities.filter(activity => activity.type === 'TASK').length;
+        if (chunksBeforeLongBreak > 0 && chunksToday % chunksBeforeLongBreak === 0) {
+            return { breakName: 'Long Break', breakMinutes: longBreakMinutes };
+        }
+        return { breakName: 'Short Break', breakMinutes: shortBreakMinutes };
+    }
+
+    // --- Deadline Feasibility ---
+    // Compares each pending task's remaining work with the free time left before its deadline,
+    // after fixed blocks, pinned activities and the work of tasks sorted ahead of it.
+    // Time pinned to a task before its deadline counts toward that task's work, as it does in generatePlan.
+    // Returns [{ taskId, status: 'ON_TRACK' | 'AT_RISK' | 'INFEASIBLE', remainingMinutes, availableMinutes, shortfallMinutes }]
+    analyzeDeadlines() {
+        const nowMillis = this.clock.now();
+        const pendingTasks = this._getSortedPendingTasks();
+        if (pendingTasks.length === 0) {
+            return [];
+        }
+
+        const lastDeadlineMillis = Math.max(...pendingTasks.map(task => task.deadline.getTime()));
+        let freeSlots = this._getFreeSlotsBetween(nowMillis, lastDeadlineMillis);
+        const upcomingPins = this.pinnedActivities.filter(pinned => pinned.endMillis > nowMillis);
+        upcomingPins.forEach(pinned => {
+            freeSlots = this._subtractTime(freeSlots, pinned.startMillis, pinned.endMillis);
+        });
+        const accuracy = this.getEstimateAccuracy();
+
+        return pendingTasks.map(task => {
+            const deadlineMillis = task.deadline.getTime();
+            const pinnedMinutes = upcomingPins
+                .filter(pinned => pinned.type === 'TASK' && pinned.taskId === task.id)
+                .reduce((total, pinned) => total
+                    + Math.max(0, Math.min(pinned.endMillis, deadlineMillis) - Math.max(pinned.startMillis, nowMillis)) / MILLIS_IN_MINUTE, 0);
+            const remainingMinutes = Math.max(0, this.getPlanningMinutes(task, accuracy) - pinnedMinutes);
+            const bufferStartMillis = deadlineMillis - this.settings.bufferDays * MILLIS_IN_DAY;
+            const availableMinutes = this._sumSlotMinutes(freeSlots, deadlineMillis);
+            const availableBeforeBufferMinutes = this._sumSlotMinutes(freeSlots, bufferStartMillis);
+
+            let status = 'ON_TRACK';
+            let shortfallMinutes = 0;
+            if (availableMinutes < remainingMinutes) {
+                status = 'INFEASIBLE';
+                shortfallMinutes = remainingMinutes - availableMinutes;
+            } else if (availableBeforeBufferMinutes < remainingMinutes) {
+                status = 'AT_RISK'; // Only fits by eating into the buffer before the deadline
+                shortfallMinutes = remainingMinutes - availableBeforeBufferMinutes;
+            }
+
+            // Reserve this task's work as late as possible before its deadline, so earlier free
+            // time stays open for the tasks that follow
+            freeSlots = this._reserveLatestMinutes(freeSlots, deadlineMillis, remainingMinutes);
+
+            return {
+                taskId: task.id,
+                status,
+                remainingMinutes,
+                availableMinutes,
+                shortfallMinutes
+            };
         });
+    }
 
-        scheduledActivities.sort((a, b) => a.startMillis - b.startMillis);
+    // Free time (fixed blocks removed) from startMillis to endMillis, across as many days as needed
+    _getFreeSlotsBetween(startMillis, endMillis) {
+        let freeSlots = [];
+        for (let day = this._startOfDay(new Date(startMillis)); day.getTime() <= endMillis; day.setDate(day.getDate() + 1)) {
+            const { availableTimeSlots } = this._getDayAvailability(new Date(day), startMillis);
+            freeSlots = freeSlots.concat(availableTimeSlots);
+        }
+        return freeSlots
+            .map(slot => ({ start: slot.start, end: Math.min(slot.end, endMillis) }))
+            .filter(slot => slot.end > slot.start);
+    }
 
-        return scheduledActivities;
+    _sumSlotMinutes(slots, beforeMillis) {
+        return Math.floor(slots.reduce((total, slot) =>
+            total + Math.max(0, Math.min(slot.end, beforeMillis) - slot.start), 0) / MILLIS_IN_MINUTE);
+    }
+
+    _reserveLatestMinutes(slots, beforeMillis, minutes) {
+        let remainingMillis = minutes * MILLIS_IN_MINUTE;
+        let freeSlots = slots;
+        for (let i = slots.length - 1; i >= 0 && remainingMillis > 0; i--) {
+            const end = Math.min(slots[i].end, beforeMillis);
+            if (end <= slots[i].start) continue;
+            const start = Math.max(slots[i].start, end - remainingMillis);
+            freeSlots = this._subtractTime(freeSlots, start, end);
+            remainingMillis -= end - start;
+        }
+        return freeSlots;
+    }
+
+    // Places a review session for each topic due on this day (or overdue and not placed earlier in the plan).
+    // Time left after the reviews stays free.
+    _scheduleReviews(date, planState, availableTimeSlots, activities) {
+        const { revisionBlockMinutes, minRevisionBlockMinutes } = this.settings;
+        let slots = availableTimeSlots;
+
+        this.getDueReviews(date)
+            .filter(item => !planState.placedReviewIds.has(item.id))
+            .forEach(item => {
+                const slot = slots.find(s => (s.end - s.start) / MILLIS_IN_MINUTE >= minRevisionBlockMinutes);
+                if (!slot) return;
+                const reviewMinutes = Math.min(revisionBlockMinutes, Math.floor((slot.end - slot.start) / MILLIS_IN_MINUTE));
+                const reviewEndMillis = slot.start + reviewMinutes * MILLIS_IN_MINUTE;
+                activities.push(new ScheduledActivity(
+                    null, 'REVISION', `Review: ${item.topic}`, slot.start, reviewEndMillis, item.taskId, false, false, item.id
+                ));
+                planState.placedReviewIds.add(item.id);
+                slots = this._subtractTime(slots, slot.start, reviewEndMillis);
+            });
+        return slots;
     }
 
     // Helper function to subtract a used time range from available slots
@@ -290,12 +1718,13 @@ class Scheduler {
         let newSlots = [];
         availableSlots.forEach(slot => {
             // Case 1: Slot is entirely before the subtracted range
+            // (Cases 1 and 2 copy the slot, so merging below never changes the caller's slots)
             if (slot.end <= startToSubtract) {
-                newSlots.push(slot);
+                newSlots.push({ ...slot });
             }
             // Case 2: Slot is entirely after the subtracted range
             else if (slot.start >= endToSubtract) {
-                newSlots.push(slot);
+                newSlots.push({ ...slot });
             }
             // Case 3: Subtracted range completely covers the slot
             else if (startToSubtract <= slot.start && endToSubtract >= slot.end) {
@@ -335,3 +1764,12 @@ class Scheduler {
         return newSlots;
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FixedBlock, Task, Subtask, WorkSession, ReviewItem, ScheduledActivity, Scheduler,
+        MILLIS_IN_MINUTE, MILLIS_IN_HOUR, MILLIS_IN_DAY, WEEKDAYS, TASK_TYPES, DEFAULT_SETTINGS,
+        REVIEW_INTERVALS_DAYS, REVIEW_RATINGS, FIXED_BLOCK_CONFLICT_DAYS, SYSTEM_CLOCK,
+        formatDateKey, parseDateKey, getWeekdayName, toSafeId, createMemoryStorage
+    };
+}
@@ -0,0 +1,172 @@
+// storage.js
+
+// Versioned storage schema. Every saved dataset records the schema version it was written with,
+// and older datasets are upgraded step by step on load or import instead of being discarded.
+
+// Version 1 is the original, unversioned layout (no 'schemaVersion' key in localStorage)
+const STORAGE_SCHEMA_VERSION = 3;
+
+// localStorage keys that make up the dataset, with the value used when a key is missing
+const STORED_COLLECTIONS = [
+    { key: 'tasks', fallback: [] },
+    { key: 'fixedBlocks', fallback: [] },
+    { key: 'committedPlans', fallback: {} },
+    { key: 'settings', fallback: {} },
+    { key: 'workSessions', fallback: [] },
+    { key: 'pinnedActivities', fallback: [] },
+    { key: 'lastCatchUpMillis', fallback: 0 },
+    { key: 'reviewItems', fallback: [] }
+];
+
+// STORAGE_MIGRATIONS[n](dataset, nowMillis) upgrades a dataset from version n - 1 to version n.
+// Migrations work on plain JSON data, never on class instances.
+const STORAGE_MIGRATIONS = {
+    // v2: tasks gain prerequisiteIds, fixed blocks describe their days with a recurrence rule
+    2: dataset => ({
+        ...dataset,
+        tasks: dataset.tasks.map(task => ({
+            ...task,
+            remainingMinutes: task.remainingMinutes ?? task.estimatedMinutes,
+            prerequisiteIds: task.prerequisiteIds || []
+        })),
+        fixedBlocks: dataset.fixedBlocks.map(block => {
+            if (block.recurrence) {
+                return block;
+            }
+            const recurrence = block.dayOfWeek === 'ALL_DAYS'
+                ? { freq: 'DAILY', interval: 1 }
+                : { freq: 'WEEKLY', interval: 1, byDay: [block.dayOfWeek] };
+            return { validFrom: null, validUntil: null, exceptionDates: [], ...block, recurrence };
+        })
+    }),
+
+    // v3: progress is recorded as work sessions. Time already subtracted from a task becomes one
+    // session ending at migration time, so every remaining time stays the same.
+    3: (dataset, migratedAt) => {
+        const carriedOver = dataset.tasks
+            .filter(task => !task.isCompleted && task.remainingMinutes < task.estimatedMinutes)
+            .map(task => ({
+                id: `ws_migrated_${task.id}`,
+                taskId: task.id,
+                startMillis: migratedAt - (task.estimatedMinutes - task.remainingMinutes) * 60 * 1000,
+                endMillis: migratedAt,
+                note: 'Progress recorded before session tracking'
+            }));
+        return { ...dataset, workSessions: dataset.workSessions.concat(carriedOver) };
+    }
+};
+
+// Upgrades a plain dataset ({ schemaVersion, ...one entry per STORED_COLLECTIONS key }) to the current version.
+// nowMillis is the time the upgrade happens at, from the caller's clock.
+function migrateDataset(dataset, nowMillis = Date.now()) {
+    let version = dataset.schemaVersion || 1;
+    if (version > STORAGE_SCHEMA_VERSION) {
+        throw new Error(`This data was saved by a newer version of the app (schema v${version}, this app supports v${STORAGE_SCHEMA_VERSION}).`);
+    }
+
+    let migrated = { ...dataset };
+    STORED_COLLECTIONS.forEach(({ key, fallback }) => {
+        if (migrated[key] === undefined || migrated[key] === null) {
+            migrated[key] = fallback;
+        }
+    });
+    while (version < STORAGE_SCHEMA_VERSION) {
+        version++;
+        migrated = STORAGE_MIGRATIONS[version](migrated, nowMillis);
+    }
+    migrated.schemaVersion = version;
+    return migrated;
+}
+
+// --- Profiles ---
+
+// Each profile (someone sharing the device, or a separate calendar) keeps its own copy of the dataset.
+// The default profile uses the original unprefixed keys, so data saved before profiles existed becomes it.
+const DEFAULT_PROFILE = { id: 'default', name: 'Default' };
+
+// The storage key holding key for a profile
+function getProfileKey(profileId, key) {
+    return profileId === DEFAULT_PROFILE.id ? key : `profile_${profileId}_${key}`;
+}
+
+// Storage adapter for one profile's keys within storage (e.g. localStorage)
+function createProfileStorage(storage, profileId) {
+    return {
+        getItem: key => storage.getItem(getProfileKey(profileId, key)),
+        setItem: (key, value) => storage.setItem(getProfileKey(profileId, key), value),
+        removeItem: key => storage.removeItem(getProfileKey(profileId, key))
+    };
+}
+
+// All profiles as [{ id, name }], the default profile first
+function loadProfiles(storage) {
+    let profiles = [];
+    try {
+        profiles = JSON.parse(storage.getItem('profiles')) || [];
+    } catch (e) {
+        console.error("Error parsing stored profiles:", e);
+    }
+    // The default profile is only stored once it has been renamed
+    const savedDefault = profiles.find(profile => profile.id === DEFAULT_PROFILE.id);
+    return [savedDefault || { ...DEFAULT_PROFILE }, ...profiles.filter(profile => profile.id !== DEFAULT_PROFILE.id)];
+}
+
+function saveProfiles(storage, profiles) {
+    storage.setItem('profiles', JSON.stringify(profiles));
+}
+
+// The profile last switched to, or the default profile if it no longer exists
+function loadActiveProfileId(storage) {
+    const profileId = storage.getItem('activeProfileId');
+    return loadProfiles(storage).some(profile => profile.id === profileId) ? profileId : DEFAULT_PROFILE.id;
+}
+
+function saveActiveProfileId(storage, profileId) {
+    storage.setItem('activeProfileId', profileId);
+}
+
+// Returns the new profile, or null if the name is empty or already taken
+function addProfile(storage, name) {
+    const profiles = loadProfiles(storage);
+    const trimmed = name.trim();
+    if (!trimmed || profiles.some(profile => profile.name.toLowerCase() === trimmed.toLowerCase())) {
+        return null;
+    }
+    const profile = { id: `pr_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`, name: trimmed };
+    saveProfiles(storage, [...profiles, profile]);
+    return profile;
+}
+
+// Returns false if the profile doesn't exist or the name is empty or taken by another profile
+function renameProfile(storage, profileId, name) {
+    const profiles = loadProfiles(storage);
+    const trimmed = name.trim();
+    const profile = profiles.find(p => p.id === profileId);
+    if (!profile || !trimmed || profiles.some(p => p.id !== profileId && p.name.toLowerCase() === trimmed.toLowerCase())) {
+        return false;
+    }
+    profile.name = trimmed;
+    saveProfiles(storage, profiles);
+    return true;
+}
+
+// Removes a profile and all of its data. The default profile can't be deleted.
+function deleteProfile(storage, profileId) {
+    const profiles = loadProfiles(storage);
+    if (profileId === DEFAULT_PROFILE.id || !profiles.some(profile => profile.id === profileId)) {
+        return false;
+    }
+    ['schemaVersion', 'activeTimer', ...STORED_COLLECTIONS.map(collection => collection.key)]
+        .forEach(key => storage.removeItem(getProfileKey(profileId, key)));
+    saveProfiles(storage, profiles.filter(profile => profile.id !== profileId));
+    return true;
+}
+
+// Node loads this file as a module (see scheduler.js); in the browser these are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STORAGE_SCHEMA_VERSION, STORED_COLLECTIONS, STORAGE_MIGRATIONS, migrateDataset,
+        DEFAULT_PROFILE, getProfileKey, createProfileStorage, loadProfiles, saveProfiles, loadActiveProfileId,
+        saveActiveProfileId, addProfile, renameProfile, deleteProfile
+    };
+}
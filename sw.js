@@ -0,0 +1,155 @@
+// sw.js
+
+// Service worker: keeps the app working offline, shows reminders the page hands it (also once the page
+// is closed, where the browser allows) and brings the app forward when one is clicked
+
+// Bump the version whenever APP_SHELL changes, so old caches are dropped on activate
+const CACHE_NAME = 'scheduler-v2';
+const APP_SHELL = [
+    './',
+    'index.html',
+    'storage.js',
+    'scheduler.js',
+    'ics.js',
+    'analytics.js',
+    'notifications.js',
+    'quickadd.js',
+    'app.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+// Reminders handed over by the page, with the IDs of those already shown: { reminders: [{ id, title, body, atMillis }], shownIds }.
+// They live in their own cache, as the worker can be stopped between events and can't read localStorage.
+const REMINDER_CACHE_NAME = 'scheduler-reminders';
+const REMINDER_STATE_KEY = 'reminder-state.json';
+const REMINDER_SYNC_TAG = 'reminders';
+// A reminder the worker only gets to this much later (the browser woke it late) is out of date, and dropped
+const REMINDER_MAX_LATE_MILLIS = 60 * 60 * 1000;
+// Notification triggers let the browser show a notification at a set time with no page or worker running
+const SUPPORTS_NOTIFICATION_TRIGGERS = 'showTrigger' in Notification.prototype && typeof TimestampTrigger === 'function';
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME && key !== REMINDER_CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Stale-while-revalidate: answer from the cache right away and refresh the cached copy in the
+// background, so the app starts offline and picks up new versions on the next load
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+    event.respondWith(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.match(request, { ignoreSearch: true }).then(cached => {
+                const network = fetch(request)
+                    .then(response => {
+                        if (response.ok) {
+                            cache.put(request, response.clone());
+                        }
+                        return response;
+                    })
+                    .catch(() => cached || (request.mode === 'navigate' ? cache.match('index.html') : Response.error()));
+                if (cached) {
+                    event.waitUntil(network.catch(() => {}));
+                }
+                return cached || network;
+            })
+        )
+    );
+});
+
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const open = windows.find(client => 'focus' in client);
+            return open ? open.focus() : self.clients.openWindow('./');
+        })
+    );
+});
+
+// The page sends { type: 'schedule-reminders', reminders } whenever the plan or the settings change, and
+// { type: 'show-due-reminders' } when one of its own timers goes off
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'schedule-reminders') {
+        event.waitUntil(queueReminderWork(() => saveReminders(event.data.reminders).then(showDueReminders)));
+    } else if (event.data && event.data.type === 'show-due-reminders') {
+        event.waitUntil(queueReminderWork(showDueReminders));
+    }
+});
+
+// Browsers that offer periodic background sync wake the worker now and then, also with the app closed
+self.addEventListener('periodicsync', event => {
+    if (event.tag === REMINDER_SYNC_TAG) {
+        event.waitUntil(queueReminderWork(showDueReminders));
+    }
+});
+
+// Reminder work reads and writes the stored state, so it runs one piece at a time
+let reminderWork = Promise.resolve();
+function queueReminderWork(work) {
+    reminderWork = reminderWork.then(work, work);
+    return reminderWork;
+}
+
+function readReminderState() {
+    return caches.open(REMINDER_CACHE_NAME)
+        .then(cache => cache.match(REMINDER_STATE_KEY))
+        .then(response => (response ? response.json() : { reminders: [], shownIds: [] }));
+}
+
+function writeReminderState(state) {
+    return caches.open(REMINDER_CACHE_NAME)
+        .then(cache => cache.put(REMINDER_STATE_KEY, new Response(JSON.stringify(state), { headers: { 'Content-Type': 'application/json' } })));
+}
+
+// Replaces the stored reminders. Where notification triggers exist, the browser is also given every future
+// reminder to show at its time, which counts as shown here.
+function saveReminders(reminders) {
+    return readReminderState().then(state => {
+        const ids = new Set(reminders.map(reminder => reminder.id));
+        const shownIds = state.shownIds.filter(id => ids.has(id));
+        if (!SUPPORTS_NOTIFICATION_TRIGGERS) {
+            return writeReminderState({ reminders, shownIds });
+        }
+        const nowMillis = Date.now();
+        const future = reminders.filter(reminder => reminder.atMillis > nowMillis);
+        return self.registration.getNotifications({ includeTriggered: true })
+            .then(notifications => notifications
+                .filter(notification => notification.showTrigger && notification.showTrigger.timestamp > nowMillis)
+                .forEach(notification => notification.close()))
+            .then(() => Promise.all(future.map(reminder => self.registration.showNotification(reminder.title, {
+                body: reminder.body,
+                tag: reminder.id,
+                showTrigger: new TimestampTrigger(reminder.atMillis)
+            }))))
+            .then(() => writeReminderState({ reminders, shownIds: shownIds.concat(future.map(reminder => reminder.id)) }));
+    });
+}
+
+// Shows the stored reminders that are due and haven't been shown yet
+function showDueReminders() {
+    return readReminderState().then(state => {
+        const nowMillis = Date.now();
+        const due = state.reminders.filter(reminder => reminder.atMillis <= nowMillis && !state.shownIds.includes(reminder.id));
+        const current = due.filter(reminder => nowMillis - reminder.atMillis <= REMINDER_MAX_LATE_MILLIS);
+        return Promise.all(current.map(reminder => self.registration.showNotification(reminder.title, { body: reminder.body, tag: reminder.id })))
+            .then(() => writeReminderState({ ...state, shownIds: state.shownIds.concat(due.map(reminder => reminder.id)) }));
+    });
+}
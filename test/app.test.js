@@ -0,0 +1,157 @@
+// Tests for the page scripts: run with `npm test`
+// The scripts run in a VM context with a stand-in DOM that records every bit of HTML they write.
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+const PAYLOAD = '<img src=x onerror=alert(1)>';
+const ESCAPED_PAYLOAD = '&lt;img src=x onerror=alert(1)&gt;';
+
+// A DOM element that keeps its HTML and the elements appended to it
+function createFakeElement() {
+    const element = {
+        style: {},
+        dataset: {},
+        value: '',
+        checked: false,
+        textContent: '',
+        title: '',
+        selectedOptions: [],
+        children: [],
+        html: '',
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        set innerHTML(html) {
+            this.html = html;
+            this.children = [];
+        },
+        get innerHTML() {
+            return this.html;
+        },
+        appendChild(child) {
+            this.children.push(child);
+            return child;
+        },
+        insertAdjacentHTML(position, html) {
+            this.html += html;
+        },
+        querySelector: () => createFakeElement(),
+        querySelectorAll: () => [],
+        addEventListener() {},
+        remove() {},
+        click() {},
+        focus() {}
+    };
+    return element;
+}
+
+// All HTML written into an element and everything appended to it
+const collectHtml = element => [element.html, ...element.children.map(collectHtml)].join('\n');
+
+// Loads the page scripts in the order index.html does, with a stand-in browser
+function loadPage() {
+    const elements = {};
+    const store = {};
+    const domContentLoaded = [];
+    const context = {
+        console, Date, Math, JSON, Set, Map, Intl,
+        setTimeout: () => 0, clearTimeout() {}, setInterval: () => 0, clearInterval() {},
+        alert() {}, confirm: () => false, prompt: () => null,
+        localStorage: {
+            getItem: key => (key in store ? store[key] : null),
+            setItem: (key, value) => { store[key] = String(value); },
+            removeItem: key => { delete store[key]; }
+        },
+        navigator: {},
+        window: { addEventListener() {} },
+        document: {
+            visibilityState: 'visible',
+            getElementById: id => elements[id] || (elements[id] = createFakeElement()),
+            createElement: () => createFakeElement(),
+            querySelector: () => createFakeElement(),
+            querySelectorAll: () => [],
+            addEventListener: (eventName, listener) => {
+                if (eventName === 'DOMContentLoaded') domContentLoaded.push(listener);
+            }
+        }
+    };
+    vm.createContext(context);
+    const scripts = Array.from(fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8').matchAll(/<script src="([^"]+)"><\/script>/g), match => match[1]);
+    const source = scripts.map(script => fs.readFileSync(path.join(ROOT, script), 'utf8')).join('\n;\n')
+        + '\n;globalThis.page = { scheduler, Task, Subtask, WorkSession, ReviewItem, ScheduledActivity, FixedBlock, addProfile, formatDateKey, openSessionHistories };';
+    vm.runInContext(source, context, { filename: 'page.js' });
+    return { context, page: context.page, elements, startPage: () => domContentLoaded.forEach(listener => listener()) };
+}
+
+describe('page rendering', () => {
+    let context;
+    let elements;
+
+    before(() => {
+        const loaded = loadPage();
+        ({ context, elements } = loaded);
+        const { scheduler, Task, Subtask, WorkSession, ReviewItem, ScheduledActivity, FixedBlock, addProfile, formatDateKey } = loaded.page;
+        const now = Date.now();
+        const HOUR = 60 * 60 * 1000;
+
+        // Every piece of text a user can type, set to markup
+        const blocker = new Task('task_blocker', PAYLOAD, PAYLOAD, 'HIGH', new Date(now + 48 * HOUR), 60, 'OTHER');
+        const task = new Task('task_hostile', PAYLOAD, PAYLOAD, 'HIGH', new Date(now + HOUR), 600, 'STUDY', false, null, 600, ['task_blocker'],
+            [new Subtask('st_hostile', PAYLOAD, 600, false, null, 600)]);
+        const done = new Task('task_done', PAYLOAD, PAYLOAD, 'LOW', new Date(now - 24 * HOUR), 30, 'STUDY', true, null, 0, [], [], new Date(now - 2 * HOUR));
+        scheduler.tasks = [blocker, task, done];
+        scheduler.fixedBlocks = [new FixedBlock('fb_hostile', 'ALL_DAYS', PAYLOAD, 0, 0, 0, 30)];
+        scheduler.reviewItems = [new ReviewItem('rv_hostile', PAYLOAD, 'task_done', formatDateKey(new Date(now)))];
+        // One chunk missed and one run over, for the catch-up banner
+        scheduler.committedPlans = {
+            [formatDateKey(new Date(now - 5 * HOUR))]: [
+                new ScheduledActivity('sa_missed', 'TASK', PAYLOAD, now - 5 * HOUR, now - 4 * HOUR, 'task_blocker'),
+                new ScheduledActivity('sa_overrun', 'TASK', PAYLOAD, now - 3 * HOUR, now - 2 * HOUR, 'task_hostile')
+            ]
+        };
+        scheduler.workSessions = [
+            new WorkSession('ws_hostile', 'task_hostile', now - 3 * HOUR, now - 1.5 * HOUR, PAYLOAD),
+            new WorkSession('ws_done', 'task_done', now - 3 * HOUR, now - 2.5 * HOUR, PAYLOAD)
+        ];
+        scheduler.saveData();
+        addProfile(context.localStorage, PAYLOAD);
+
+        elements['report-start'] = Object.assign(createFakeElement(), { value: formatDateKey(new Date(now - 7 * 24 * HOUR)) });
+        elements['report-end'] = Object.assign(createFakeElement(), { value: formatDateKey(new Date(now + 24 * HOUR)) });
+        loaded.startPage();
+        loaded.page.openSessionHistories.add('task_hostile');
+        context.displayPendingTasks();
+        context.displayAllTasks();
+        context.displayReviewQueue();
+        context.displayFeasibilityBanner();
+        context.displayCatchUpBanner();
+        context.displayTimetable();
+        context.displayAnalyticsReport();
+    });
+
+    it('never writes user text into the page as markup', () => {
+        Object.entries(elements).forEach(([id, element]) => {
+            assert.ok(!collectHtml(element).includes(PAYLOAD), `#${id} shows user text as markup`);
+        });
+    });
+
+    // Each list or banner that shows user text, so a template that stops rendering can't pass unnoticed
+    for (const id of ['pending-tasks-list', 'all-tasks-list', 'fixed-blocks-list', 'review-queue-list', 'feasibility-banner',
+        'catch-up-banner', 'timetable-grid', 'analytics-report', 'profile-select', 'shared-profiles', 'task-prerequisites']) {
+        it(`shows user text escaped in #${id}`, () => {
+            assert.ok(collectHtml(elements[id]).includes(ESCAPED_PAYLOAD), `#${id} was not rendered with the user text`);
+        });
+    }
+
+    it('shows the quick add preview escaped', () => {
+        [`${PAYLOAD} due tomorrow 1h`, `${PAYLOAD} every Mon 18:00-19:30`].forEach(text => {
+            elements['quick-add-input'].value = text;
+            context.displayQuickAddPreview();
+            const html = collectHtml(elements['quick-add-preview']);
+            assert.ok(!html.includes(PAYLOAD) && html.includes(ESCAPED_PAYLOAD), html);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+// Tests for the command-line schedule printer: run with `npm test`
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { Scheduler, Task, FixedBlock, createMemoryStorage } = require('../scheduler.js');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+const runCli = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+
+describe('cli.js', () => {
+    let directory;
+    let backupFile;
+
+    before(() => {
+        const scheduler = new Scheduler({ storage: createMemoryStorage(), clock: { now: () => new Date(2030, 0, 7, 7, 0).getTime() } });
+        scheduler.addTask(new Task('task_essay', 'Essay', '', 'HIGH', new Date(2030, 0, 7, 23, 0), 90, 'HOMEWORK'));
+        scheduler.addFixedBlock(new FixedBlock('fb_lecture', 'MONDAY', 'Lecture', 8, 0, 9, 0));
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-cli-'));
+        backupFile = path.join(directory, 'backup.json');
+        fs.writeFileSync(backupFile, JSON.stringify(scheduler.exportData()));
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('prints the schedule for the given date', () => {
+        const result = runCli(backupFile, '2030-01-07', '--now', '2030-01-07T07:00');
+        assert.equal(result.status, 0, result.stderr);
+        assert.equal(result.stdout, [
+            'Schedule for Monday 2030-01-07 (generated)',
+            '08:00-09:00  Fixed   Lecture',
+            '09:00-10:30  Task    Essay',
+            '10:30-10:35  Break   Short Break',
+            ''
+        ].join('\n'));
+    });
+
+    it('says so when nothing is planned', () => {
+        // The working day has already ended
+        const result = runCli(backupFile, '2030-01-07', '--now', '2030-01-07T22:30');
+        assert.equal(result.status, 0, result.stderr);
+        assert.match(result.stdout, /Nothing planned\./);
+    });
+
+    it('fails with usage help without a data file', () => {
+        const result = runCli();
+        assert.equal(result.status, 1);
+        assert.match(result.stderr, /Usage: node cli\.js/);
+    });
+
+    it('rejects a malformed date', () => {
+        const result = runCli(backupFile, '7/1/2030');
+        assert.equal(result.status, 1);
+        assert.match(result.stderr, /The date must look like/);
+    });
+
+    it('rejects a date that does not exist', () => {
+        const result = runCli(backupFile, '2030-02-31');
+        assert.equal(result.status, 1);
+        assert.match(result.stderr, /There is no date 2030-02-31/);
+        assert.match(result.stderr, /Usage:/);
+    });
+
+    it('reports a file that is not a backup', () => {
+        const otherFile = path.join(directory, 'other.json');
+        fs.writeFileSync(otherFile, '{"hello": "world"}');
+        const result = runCli(otherFile);
+        assert.equal(result.status, 1);
+        assert.match(result.stderr, /not a scheduler backup/);
+    });
+});
@@ -0,0 +1,80 @@
+// Tests for calendar (.ics) import and export: run with `npm test`
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseICS, icsEventsToFixedBlocks, exportActivitiesToICS, foldICSLine } = require('../ics.js');
+const { ScheduledActivity } = require('../scheduler.js');
+
+// A calendar file with one VEVENT per list of property lines
+const calendar = (...events) => ['BEGIN:VCALENDAR', ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']), 'END:VCALENDAR']
+    .join('\r\n') + '\r\n';
+
+const importCalendar = (...events) => icsEventsToFixedBlocks(parseICS(calendar(...events)));
+
+const octets = text => Buffer.byteLength(text, 'utf8');
+
+describe('calendar import', () => {
+    it('reads folded lines and escaped text', () => {
+        const [event] = parseICS(calendar(['UID:lecture-1', 'SUMMARY:Physics\\, room 2\r\n  (lab)', 'DTSTART:20300107T090000', 'DTEND:20300107T110000']));
+        assert.equal(event.summary, 'Physics, room 2 (lab)');
+        assert.equal(event.start.getTime(), new Date(2030, 0, 7, 9, 0).getTime());
+    });
+
+    it('keeps safe UIDs in block IDs and cleans the rest', () => {
+        const { blocks } = importCalendar(
+            ['UID:abc123@google.com', 'SUMMARY:Lecture', 'DTSTART:20300107T090000', 'DTEND:20300107T110000'],
+            ['UID:x\');alert(1);//', 'SUMMARY:Seminar', 'DTSTART:20300108T090000', 'DTEND:20300108T100000']
+        );
+        assert.equal(blocks[0].id, 'fb_ics_abc123@google.com');
+        assert.match(blocks[1].id, /^fb_ics_[A-Za-z0-9_.@-]+$/);
+    });
+
+    it('skips an event whose repeat end date cannot be read', () => {
+        const { blocks, skipped } = importCalendar(
+            ['UID:bad', 'SUMMARY:Broken', 'DTSTART:20300107T090000', 'DTEND:20300107T100000', 'RRULE:FREQ=WEEKLY;UNTIL=garbage'],
+            ['UID:good', 'SUMMARY:Gym', 'DTSTART:20300107T180000', 'DTEND:20300107T190000', 'RRULE:FREQ=WEEKLY;UNTIL=20300301T000000Z']
+        );
+        assert.deepEqual(blocks.map(block => [block.description, block.validUntil]), [['Gym', '2030-03-01']]);
+        assert.deepEqual(skipped, [{ summary: 'Broken', reason: 'unreadable repeat end date (UNTIL=garbage)' }]);
+    });
+
+    it('takes the end from DURATION when there is no DTEND', () => {
+        const { blocks, skipped } = importCalendar(
+            ['UID:a', 'SUMMARY:Tutorial', 'DTSTART:20300107T090000', 'DURATION:PT1H30M'],
+            ['UID:b', 'SUMMARY:Night shift', 'DTSTART:20300107T220000', 'DURATION:PT8H'],
+            ['UID:c', 'SUMMARY:Odd', 'DTSTART:20300107T090000', 'DURATION:soon']
+        );
+        assert.deepEqual(blocks.map(block => [block.description, block.describeTimes()]),
+            [['Tutorial', '09:00 - 10:30'], ['Night shift', '22:00 - 06:00 (overnight)']]);
+        assert.deepEqual(skipped, [{ summary: 'Odd', reason: 'unreadable duration (DURATION=soon)' }]);
+    });
+});
+
+describe('calendar export', () => {
+    const NOW = new Date(2030, 0, 7, 7, 0).getTime();
+    const activity = name => new ScheduledActivity('sa_1', 'TASK', name, new Date(2030, 0, 7, 9, 0).getTime(), new Date(2030, 0, 7, 10, 0).getTime(), 'task_essay');
+
+    it('folds lines at 75 octets without splitting a character', () => {
+        const line = `SUMMARY:${'é'.repeat(50)}${'😀'.repeat(30)}abc`;
+        const parts = foldICSLine(line).split('\r\n');
+        assert.ok(parts.length > 1);
+        assert.ok(parts.every(part => octets(part) <= 75), parts.map(octets).join(', '));
+        assert.ok(parts.slice(1).every(part => part.startsWith(' ')));
+        assert.equal(parts.map((part, i) => (i === 0 ? part : part.slice(1))).join(''), line);
+    });
+
+    it('leaves short lines alone', () => {
+        assert.equal(foldICSLine('SUMMARY:Essay'), 'SUMMARY:Essay');
+    });
+
+    it('writes activities that read back as the same events', () => {
+        const name = `Essay, part 1; ${'long name '.repeat(10)}ü`;
+        const text = exportActivitiesToICS([activity(name)], NOW);
+        assert.ok(text.split('\r\n').every(line => octets(line) <= 75));
+        const [event] = parseICS(text);
+        assert.equal(event.summary, name);
+        assert.equal(event.start.getTime(), new Date(2030, 0, 7, 9, 0).getTime());
+        assert.equal(event.end.getTime(), new Date(2030, 0, 7, 10, 0).getTime());
+        assert.equal(event.uid, 'task-task_essay-2030-01-07-1@intelligent-schedule-organiser');
+    });
+});
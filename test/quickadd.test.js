@@ -0,0 +1,91 @@
+// Tests for the quick add text parser: run with `npm test`
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuickAdd } = require('../quickadd.js');
+
+// Every test parses as if it were Monday 7 January 2030, 09:00
+const NOW = new Date(2030, 0, 7, 9, 0).getTime();
+
+describe('quick add tasks', () => {
+    it('reads priority, deadline, estimate and type around the name', () => {
+        const { task } = parseQuickAdd('Physics lab report high priority due Fri 5pm ~3h #assignment', NOW);
+        assert.equal(task.name, 'Physics lab report');
+        assert.equal(task.priority, 'HIGH');
+        assert.deepEqual(task.deadline, new Date(2030, 0, 11, 17, 0));
+        assert.equal(task.estimatedMinutes, 180);
+        assert.equal(task.type, 'ASSIGNMENT');
+    });
+
+    it('understands relative dates', () => {
+        const deadlineOf = text => parseQuickAdd(`Essay ${text} 1h`, NOW).task.deadline;
+        assert.deepEqual(deadlineOf('due tomorrow'), new Date(2030, 0, 8, 23, 59));
+        assert.deepEqual(deadlineOf('due next week'), new Date(2030, 0, 14, 23, 59));
+        assert.deepEqual(deadlineOf('by in 3 days'), new Date(2030, 0, 10, 23, 59));
+        assert.deepEqual(deadlineOf('due Mon'), new Date(2030, 0, 7, 23, 59));
+        assert.deepEqual(deadlineOf('due next Mon at noon'), new Date(2030, 0, 14, 12, 0));
+        assert.deepEqual(deadlineOf('due 3pm'), new Date(2030, 0, 7, 15, 0));
+        assert.deepEqual(deadlineOf('due 7th Feb'), new Date(2030, 1, 7, 23, 59));
+        assert.deepEqual(deadlineOf('due Jan 1'), new Date(2031, 0, 1, 23, 59));
+    });
+
+    it('understands duration shorthands', () => {
+        const estimateOf = text => parseQuickAdd(`Essay due Fri ${text}`, NOW).task.estimatedMinutes;
+        assert.equal(estimateOf('~3h'), 180);
+        assert.equal(estimateOf('90m'), 90);
+        assert.equal(estimateOf('1h30'), 90);
+        assert.equal(estimateOf('~1.5 hours'), 90);
+        assert.equal(estimateOf('for 45 min'), 45);
+    });
+
+    it('explains what is missing or wrong', () => {
+        assert.match(parseQuickAdd('Essay ~2h', NOW).error, /Add a deadline/);
+        assert.match(parseQuickAdd('Essay due Fri', NOW).error, /Add an estimate/);
+        assert.match(parseQuickAdd('Essay due today 8am 1h', NOW).error, /already passed/);
+        assert.match(parseQuickAdd('Essay due Fri 1h #chores', NOW).error, /Unknown task type #chores/);
+        assert.match(parseQuickAdd('due Fri 1h', NOW).error, /Give the task a name/);
+    });
+});
+
+describe('quick add fixed blocks', () => {
+    it('reads weekly blocks', () => {
+        const { block } = parseQuickAdd('Gym every Mon Wed 18:00-19:30', NOW);
+        assert.equal(block.description, 'Gym');
+        assert.deepEqual(block.recurrence, { freq: 'WEEKLY', interval: 1, byDay: ['MONDAY', 'WEDNESDAY'] });
+        assert.equal(block.describeTimes(), '18:00 - 19:30');
+    });
+
+    it('takes am or pm from the end of a range', () => {
+        assert.equal(parseQuickAdd('Club every Thu 6-7:30pm', NOW).block.describeTimes(), '18:00 - 19:30');
+        assert.equal(parseQuickAdd('Lunch daily 11-1pm', NOW).block.describeTimes(), '11:00 - 13:00');
+    });
+
+    it('reads overnight, one-off and limited blocks', () => {
+        const sleep = parseQuickAdd('Sleep every day 23:00-07:00', NOW).block;
+        assert.equal(sleep.dayOfWeek, 'ALL_DAYS');
+        assert.ok(sleep.isOvernight());
+
+        const dentist = parseQuickAdd('Dentist tomorrow 2pm-3pm', NOW).block;
+        assert.deepEqual(dentist.recurrence, { freq: 'ONCE' });
+        assert.equal(dentist.validFrom, '2030-01-08');
+        assert.equal(dentist.validUntil, '2030-01-08');
+
+        const sync = parseQuickAdd('Team sync every other weekday 9:00-9:15 until Feb 28', NOW).block;
+        assert.deepEqual(sync.recurrence, { freq: 'WEEKLY', interval: 2, byDay: ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY'] });
+        assert.equal(sync.validFrom, '2030-01-07');
+        assert.equal(sync.validUntil, '2030-02-28');
+    });
+
+    it('asks for the missing parts', () => {
+        assert.match(parseQuickAdd('Gym every Mon', NOW).error, /time range/);
+        assert.match(parseQuickAdd('Gym 18:00-19:30', NOW).error, /Say when it happens/);
+        assert.match(parseQuickAdd('Gym daily 18:00-18:00', NOW).error, /start and end at the same time/);
+    });
+});
+
+describe('loading quickadd.js in Node', () => {
+    it('imports the scheduler without writing to the global object', () => {
+        ['Task', 'FixedBlock', 'WEEKDAYS', 'formatDateKey', 'migrateDataset', 'STORAGE_SCHEMA_VERSION']
+            .forEach(name => assert.equal(name in globalThis, false, name));
+    });
+});
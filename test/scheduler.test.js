@@ -0,0 +1,536 @@
+// Unit tests for the scheduling engine: run with `npm test`
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Scheduler, Task, FixedBlock, createMemoryStorage } = require('../scheduler.js');
+
+// Every test plans Monday 7 January 2030 with the default settings (working day 08:00-22:00,
+// 30-120 minute chunks, 5 minute short and 15 minute long breaks, a long break every 4th chunk)
+const DAY = new Date(2030, 0, 7);
+const at = (hour, minute = 0) => new Date(2030, 0, 7, hour, minute).getTime();
+const TONIGHT = new Date(2030, 0, 7, 23, 0); // A deadline that makes the whole task due today
+
+function createScheduler({ now = at(7), settings = {} } = {}) {
+    const scheduler = new Scheduler({ storage: createMemoryStorage(), clock: { now: () => now } });
+    scheduler.updateSettings(settings);
+    return scheduler;
+}
+
+function addTask(scheduler, name, minutes, { priority = 'MEDIUM', deadline = TONIGHT, type = 'OTHER', prerequisiteIds = [] } = {}) {
+    const task = new Task(`task_${name}`, name, '', priority, deadline, minutes, type);
+    task.prerequisiteIds = prerequisiteIds;
+    scheduler.addTask(task);
+    return task;
+}
+
+function addBlock(scheduler, name, startHour, startMinute, endHour, endMinute, dayOfWeek = 'ALL_DAYS') {
+    const block = new FixedBlock(`fb_${name}`, dayOfWeek, name, startHour, startMinute, endHour, endMinute);
+    scheduler.addFixedBlock(block);
+    return block;
+}
+
+const clock = millis => {
+    const date = new Date(millis);
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+// Activities as 'TYPE name HH:MM-HH:MM' lines, which make failures easy to read
+const describeActivities = activities =>
+    activities.map(activity => `${activity.type} ${activity.name} ${clock(activity.startMillis)}-${clock(activity.endMillis)}`);
+
+const overlaps = (a, b) => a.startMillis < b.endMillis && b.startMillis < a.endMillis;
+
+describe('_subtractTime', () => {
+    const scheduler = createScheduler();
+    const slot = (startHour, endHour) => ({ start: at(startHour), end: at(endHour) });
+
+    it('keeps a slot that ends before the range', () => {
+        assert.deepEqual(scheduler._subtractTime([slot(8, 10)], at(10), at(12)), [slot(8, 10)]);
+    });
+
+    it('keeps a slot that starts after the range', () => {
+        assert.deepEqual(scheduler._subtractTime([slot(12, 14)], at(10), at(12)), [slot(12, 14)]);
+    });
+
+    it('removes a slot the range covers', () => {
+        assert.deepEqual(scheduler._subtractTime([slot(10, 12)], at(9), at(13)), []);
+        assert.deepEqual(scheduler._subtractTime([slot(10, 12)], at(10), at(12)), []);
+    });
+
+    it('splits a slot around a range inside it', () => {
+        assert.deepEqual(scheduler._subtractTime([slot(8, 14)], at(10), at(11)), [slot(8, 10), slot(11, 14)]);
+    });
+
+    it('trims the start of a slot the range overlaps from before', () => {
+        assert.deepEqual(scheduler._subtractTime([slot(10, 14)], at(9), at(11)), [slot(11, 14)]);
+    });
+
+    it('trims the end of a slot the range overlaps from after', () => {
+        assert.deepEqual(scheduler._subtractTime([slot(8, 12)], at(11), at(13)), [slot(8, 11)]);
+    });
+
+    it('trims every slot the range touches', () => {
+        const slots = [slot(8, 10), slot(11, 13), slot(14, 16), slot(17, 19)];
+        assert.deepEqual(scheduler._subtractTime(slots, at(9), at(15)), [slot(8, 9), slot(15, 16), slot(17, 19)]);
+    });
+
+    it('returns the slots sorted and merges slots that touch', () => {
+        assert.deepEqual(scheduler._subtractTime([slot(10, 12), slot(8, 10)], at(20), at(21)), [slot(8, 12)]);
+    });
+
+    it('leaves the slots it was given unchanged', () => {
+        const slots = [slot(8, 10), slot(10, 12)];
+        scheduler._subtractTime(slots, at(20), at(21));
+        assert.deepEqual(slots, [slot(8, 10), slot(10, 12)]);
+    });
+
+    it('ignores an empty range', () => {
+        assert.deepEqual(scheduler._subtractTime([slot(8, 12)], at(10), at(10)), [slot(8, 12)]);
+    });
+});
+
+describe('chunking', () => {
+    it('splits a task into chunks no longer than the chunk length', () => {
+        const scheduler = createScheduler();
+        addTask(scheduler, 'Essay', 300);
+        assert.deepEqual(describeActivities(scheduler.generateDailySchedule(DAY)), [
+            'TASK Essay 08:00-10:00',
+            'BREAK Short Break 10:00-10:05',
+            'TASK Essay 10:05-12:05',
+            'BREAK Short Break 12:05-12:10',
+            'TASK Essay 12:10-13:10',
+            'BREAK Short Break 13:10-13:15'
+        ]);
+    });
+
+    it('uses the configured chunk length', () => {
+        const scheduler = createScheduler({ settings: { chunkMinutes: 45 } });
+        addTask(scheduler, 'Essay', 90);
+        const chunks = scheduler.generateDailySchedule(DAY).filter(activity => activity.type === 'TASK');
+        assert.deepEqual(describeActivities(chunks), ['TASK Essay 08:00-08:45', 'TASK Essay 08:50-09:35']);
+    });
+
+    it('schedules a task shorter than the shortest chunk in one piece', () => {
+        const scheduler = createScheduler();
+        addTask(scheduler, 'Email', 20);
+        assert.deepEqual(describeActivities(scheduler.generateDailySchedule(DAY))[0], 'TASK Email 08:00-08:20');
+    });
+
+    it('skips free gaps shorter than the shortest chunk', () => {
+        const scheduler = createScheduler();
+        addBlock(scheduler, 'Class', 8, 20, 9, 0);
+        addTask(scheduler, 'Essay', 60);
+        const chunks = scheduler.generateDailySchedule(DAY).filter(activity => activity.type === 'TASK');
+        assert.deepEqual(describeActivities(chunks), ['TASK Essay 09:00-10:00']);
+    });
+
+    it('spreads work over the days before the deadline, keeping the buffer days free', () => {
+        const scheduler = createScheduler();
+        // Due in 5 days with 1 buffer day: 240 minutes over 4 days is 60 a day
+        addTask(scheduler, 'Project', 240, { deadline: new Date(2030, 0, 12, 8, 0) });
+        const chunks = scheduler.generateDailySchedule(DAY).filter(activity => activity.type === 'TASK');
+        assert.deepEqual(describeActivities(chunks), ['TASK Project 08:00-09:00']);
+    });
+
+    it('never plans a daily share below the shortest chunk', () => {
+        const scheduler = createScheduler();
+        addTask(scheduler, 'Reading', 60, { deadline: new Date(2030, 0, 27) });
+        const chunks = scheduler.generateDailySchedule(DAY).filter(activity => activity.type === 'TASK');
+        assert.deepEqual(describeActivities(chunks), ['TASK Reading 08:00-08:30']);
+    });
+
+    it('starts from the current time, rounded up to the minute', () => {
+        const scheduler = createScheduler({ now: at(10, 17) + 30 * 1000 });
+        addTask(scheduler, 'Essay', 30);
+        assert.equal(describeActivities(scheduler.generateDailySchedule(DAY))[0], 'TASK Essay 10:18-10:48');
+    });
+
+    it('plans nothing on a day switched off', () => {
+        const scheduler = createScheduler({ settings: { weekdayWindows: { MONDAY: { enabled: false, startHour: null, endHour: null } } } });
+        addTask(scheduler, 'Essay', 60);
+        assert.deepEqual(scheduler.generateDailySchedule(DAY), []);
+    });
+
+    it('places higher priority tasks first', () => {
+        const scheduler = createScheduler();
+        addTask(scheduler, 'Chores', 30, { priority: 'LOW' });
+        addTask(scheduler, 'Exam prep', 30, { priority: 'HIGH' });
+        const chunks = scheduler.generateDailySchedule(DAY).filter(activity => activity.type === 'TASK');
+        assert.deepEqual(describeActivities(chunks), ['TASK Exam prep 08:00-08:30', 'TASK Chores 08:35-09:05']);
+    });
+
+    it('starts a task only after its prerequisite is planned', () => {
+        const scheduler = createScheduler();
+        const outline = addTask(scheduler, 'Outline', 60, { priority: 'LOW' });
+        addTask(scheduler, 'Draft', 60, { priority: 'HIGH', prerequisiteIds: [outline.id] });
+        const chunks = scheduler.generateDailySchedule(DAY).filter(activity => activity.type === 'TASK');
+        assert.deepEqual(describeActivities(chunks), ['TASK Outline 08:00-09:00', 'TASK Draft 09:05-10:05']);
+    });
+
+    it('does not change tasks or save while planning', () => {
+        const storage = createMemoryStorage();
+        const scheduler = new Scheduler({ storage, clock: { now: () => at(7) } });
+        const task = addTask(scheduler, 'Essay', 300);
+        const savedTasks = storage.getItem('tasks');
+        scheduler.generateDailySchedule(DAY);
+        assert.equal(task.remainingMinutes, 300);
+        assert.equal(storage.getItem('tasks'), savedTasks);
+    });
+});
+
+describe('deadlines', () => {
+    it('plans no work past a deadline later in the day', () => {
+        const scheduler = createScheduler();
+        addTask(scheduler, 'Essay', 180, { deadline: new Date(2030, 0, 7, 10, 0) });
+        const plan = scheduler.generatePlan(DAY, new Date(2030, 0, 8));
+        const tasks = plan.days.flatMap(day => day.activities).filter(activity => activity.type === 'TASK');
+        assert.deepEqual(describeActivities(tasks), ['TASK Essay 08:00-10:00']);
+        assert.deepEqual(plan.unscheduled, [{ taskId: 'task_Essay', minutes: 60 }]);
+        assert.equal(scheduler.analyzeDeadlines()[0].status, 'INFEASIBLE');
+    });
+
+    it('still plans a task whose deadline has passed', () => {
+        const scheduler = createScheduler({ now: at(12) });
+        addTask(scheduler, 'Essay', 60, { deadline: new Date(2030, 0, 7, 10, 0) });
+        assert.equal(describeActivities(scheduler.generateDailySchedule(DAY))[0], 'TASK Essay 12:00-13:00');
+    });
+
+    it('counts time pinned to other tasks as busy', () => {
+        const scheduler = createScheduler();
+        addTask(scheduler, 'Essay', 180);
+        addTask(scheduler, 'Lab', 60, { deadline: new Date(2030, 0, 14) });
+        const [labChunk] = scheduler.generateDailySchedule(new Date(2030, 0, 8));
+        scheduler.pinActivity(labChunk, at(8), at(21));
+        const [essay, lab] = scheduler.analyzeDeadlines();
+        assert.deepEqual([essay.status, essay.availableMinutes, essay.shortfallMinutes], ['INFEASIBLE', 60, 120]);
+        assert.deepEqual([lab.status, lab.remainingMinutes], ['ON_TRACK', 0]);
+    });
+
+    it('counts time pinned to a task before its deadline toward its work', () => {
+        const scheduler = createScheduler({ settings: { bufferDays: 0 } });
+        addTask(scheduler, 'Essay', 180);
+        addBlock(scheduler, 'Class', 10, 0, 21, 0);
+        const [chunk] = scheduler.generateDailySchedule(DAY);
+        scheduler.pinActivity(chunk, at(8), at(10));
+        const [essay] = scheduler.analyzeDeadlines();
+        assert.deepEqual([essay.status, essay.remainingMinutes, essay.availableMinutes], ['ON_TRACK', 60, 60]);
+    });
+});
+
+describe('breaks', () => {
+    it('follows every chunk with a break of the configured length', () => {
+        const scheduler = createScheduler({ settings: { shortBreakMinutes: 10 } });
+        addTask(scheduler, 'Essay', 60);
+        assert.deepEqual(describeActivities(scheduler.generateDailySchedule(DAY)), [
+            'TASK Essay 08:00-09:00',
+            'BREAK Short Break 09:00-09:10'
+        ]);
+    });
+
+    it('makes every Nth chunk of the day a long break', () => {
+        const scheduler = createScheduler({ settings: { chunkMinutes: 30 } });
+        addTask(scheduler, 'Essay', 150);
+        const breaks = scheduler.generateDailySchedule(DAY).filter(activity => activity.type === 'BREAK');
+        assert.deepEqual(breaks.map(activity => activity.name), ['Short Break', 'Short Break', 'Short Break', 'Long Break', 'Short Break']);
+        assert.equal(breaks[3].endMillis - breaks[3].startMillis, 15 * 60 * 1000);
+    });
+
+    it('counts chunks of different tasks toward the long break', () => {
+        const scheduler = createScheduler({ settings: { chunksBeforeLongBreak: 2 } });
+        addTask(scheduler, 'Essay', 30, { priority: 'HIGH' });
+        addTask(scheduler, 'Lab', 30);
+        const breaks = scheduler.generateDailySchedule(DAY).filter(activity => activity.type === 'BREAK');
+        assert.deepEqual(breaks.map(activity => activity.name), ['Short Break', 'Long Break']);
+    });
+
+    it('never plans long breaks when they are switched off', () => {
+        const scheduler = createScheduler({ settings: { chunkMinutes: 30, chunksBeforeLongBreak: 0 } });
+        addTask(scheduler, 'Essay', 150);
+        const breaks = scheduler.generateDailySchedule(DAY).filter(activity => activity.type === 'BREAK');
+        assert.ok(breaks.every(activity => activity.name === 'Short Break'));
+    });
+
+    it('leaves out a break that does not fit before the next fixed block', () => {
+        const scheduler = createScheduler();
+        addBlock(scheduler, 'Class', 9, 0, 22, 0);
+        addTask(scheduler, 'Essay', 60);
+        assert.deepEqual(describeActivities(scheduler.generateDailySchedule(DAY)), [
+            'TASK Essay 08:00-09:00',
+            'FIXED_BLOCK Class 09:00-22:00'
+        ]);
+    });
+});
+
+describe('fixed blocks', () => {
+    it('never plans work or breaks over a fixed block', () => {
+        const scheduler = createScheduler();
+        addBlock(scheduler, 'Lecture', 9, 0, 10, 0);
+        addBlock(scheduler, 'Lunch', 12, 30, 13, 15);
+        addTask(scheduler, 'Project', 480, { priority: 'HIGH' });
+        addTask(scheduler, 'Reading', 90);
+        const activities = scheduler.generateDailySchedule(DAY);
+        const blocks = activities.filter(activity => activity.type === 'FIXED_BLOCK');
+        const planned = activities.filter(activity => activity.type !== 'FIXED_BLOCK');
+        assert.equal(blocks.length, 2);
+        planned.forEach(activity => {
+            blocks.forEach(block => assert.ok(!overlaps(activity, block), `${describeActivities([activity])} overlaps ${block.name}`));
+        });
+        planned.forEach((activity, index) => {
+            planned.slice(index + 1).forEach(other => assert.ok(!overlaps(activity, other)));
+        });
+        assert.ok(planned.every(activity => activity.startMillis >= at(8) && activity.endMillis <= at(22)));
+    });
+
+    it('keeps the time of overlapping fixed blocks free', () => {
+        const scheduler = createScheduler();
+        addBlock(scheduler, 'Seminar', 8, 0, 10, 0);
+        addBlock(scheduler, 'Office hours', 9, 30, 11, 0);
+        addTask(scheduler, 'Essay', 60);
+        assert.deepEqual(describeActivities(scheduler.generateDailySchedule(DAY)), [
+            'FIXED_BLOCK Seminar 08:00-10:00',
+            'FIXED_BLOCK Office hours 09:30-11:00',
+            'TASK Essay 11:00-12:00',
+            'BREAK Short Break 12:00-12:05'
+        ]);
+    });
+
+    it('clips a fixed block that starts before the working day', () => {
+        const scheduler = createScheduler();
+        addBlock(scheduler, 'Gym', 7, 0, 8, 30);
+        addTask(scheduler, 'Essay', 30);
+        assert.equal(describeActivities(scheduler.generateDailySchedule(DAY).filter(activity => activity.type === 'TASK'))[0], 'TASK Essay 08:30-09:00');
+    });
+
+    it('leaves out blocks that have already ended', () => {
+        const scheduler = createScheduler({ now: at(12) });
+        addBlock(scheduler, 'Lecture', 9, 0, 10, 0);
+        addBlock(scheduler, 'Lab', 14, 0, 16, 0);
+        const blocks = scheduler.generateDailySchedule(DAY).filter(activity => activity.type === 'FIXED_BLOCK');
+        assert.deepEqual(describeActivities(blocks), ['FIXED_BLOCK Lab 14:00-16:00']);
+    });
+
+    it('only applies blocks on the days they occur', () => {
+        const scheduler = createScheduler();
+        addBlock(scheduler, 'Tuesday class', 8, 0, 12, 0, 'TUESDAY');
+        const cancelled = addBlock(scheduler, 'Cancelled class', 8, 0, 12, 0);
+        scheduler.addFixedBlockException(cancelled.id, '2030-01-07');
+        addTask(scheduler, 'Essay', 30);
+        assert.deepEqual(describeActivities(scheduler.generateDailySchedule(DAY)), [
+            'TASK Essay 08:00-08:30',
+            'BREAK Short Break 08:30-08:35'
+        ]);
+    });
+});
+
+describe('overnight and overlapping blocks', () => {
+    const intervalsOn = (scheduler, date) => scheduler.getFixedBlockIntervals(date)
+        .map(({ block, startMillis, endMillis }) => `${block.description} ${clock(startMillis)}-${clock(endMillis)}`);
+
+    it('splits an overnight block across the two days it covers', () => {
+        const scheduler = createScheduler();
+        addBlock(scheduler, 'Sleep', 23, 0, 7, 0, 'MONDAY');
+        assert.equal(scheduler.fixedBlocks[0].describeTimes(), '23:00 - 07:00 (overnight)');
+        assert.deepEqual(intervalsOn(scheduler, new Date(2030, 0, 6)), []);
+        assert.deepEqual(intervalsOn(scheduler, DAY), ['Sleep 23:00-00:00']);
+        assert.deepEqual(intervalsOn(scheduler, new Date(2030, 0, 8)), ['Sleep 00:00-07:00']);
+    });
+
+    it('keeps the morning after an overnight block free', () => {
+        const scheduler = createScheduler({ now: at(0), settings: { dayStartHour: 6 } });
+        addBlock(scheduler, 'Sleep', 22, 30, 7, 0);
+        addTask(scheduler, 'Essay', 30);
+        assert.deepEqual(describeActivities(scheduler.generateDailySchedule(DAY)), [
+            'FIXED_BLOCK Sleep 00:00-07:00',
+            'TASK Essay 07:00-07:30',
+            'BREAK Short Break 07:30-07:35',
+            'FIXED_BLOCK Sleep 22:30-00:00'
+        ]);
+    });
+
+    it('drops the morning part when the night before is skipped', () => {
+        const scheduler = createScheduler();
+        const sleep = addBlock(scheduler, 'Sleep', 23, 0, 7, 0);
+        scheduler.addFixedBlockException(sleep.id, '2030-01-06');
+        assert.deepEqual(intervalsOn(scheduler, DAY), ['Sleep 23:00-00:00']);
+    });
+
+    it('finds blocks that clash with a new one', () => {
+        const scheduler = createScheduler();
+        addBlock(scheduler, 'Lecture', 10, 0, 11, 0, 'WEDNESDAY');
+        addBlock(scheduler, 'Lunch', 12, 0, 13, 0);
+        const seminar = new FixedBlock('fb_Seminar', 'ALL_DAYS', 'Seminar', 10, 30, 12, 0);
+        assert.deepEqual(scheduler.findFixedBlockConflicts(seminar).map(({ block, dateKey }) => `${block.description} ${dateKey}`),
+            ['Lecture 2030-01-09']);
+        const breakfast = new FixedBlock('fb_Breakfast', 'ALL_DAYS', 'Breakfast', 7, 0, 8, 0);
+        assert.deepEqual(scheduler.findFixedBlockConflicts(breakfast), []);
+    });
+
+    it('finds clashes with the part of a block after midnight', () => {
+        const scheduler = createScheduler();
+        addBlock(scheduler, 'Sleep', 23, 0, 7, 0, 'SUNDAY');
+        const run = new FixedBlock('fb_Run', 'MONDAY', 'Run', 6, 0, 7, 30);
+        assert.deepEqual(scheduler.findFixedBlockConflicts(run).map(({ block, dateKey }) => `${block.description} ${dateKey}`),
+            ['Sleep 2030-01-07']);
+    });
+
+    it('merges blocks on the same days into one, across midnight', () => {
+        const scheduler = createScheduler();
+        addBlock(scheduler, 'Sleep', 23, 0, 7, 0);
+        const wakeUp = new FixedBlock('fb_Wake', 'ALL_DAYS', 'Wake up', 6, 30, 7, 30);
+        const merged = scheduler.mergeFixedBlock(wakeUp);
+        assert.equal(merged.id, 'fb_Sleep');
+        assert.equal(merged.description, 'Sleep / Wake up');
+        assert.equal(merged.describeTimes(), '23:00 - 07:30 (overnight)');
+        assert.equal(scheduler.fixedBlocks.length, 1);
+    });
+
+    it('only merges blocks that repeat on the same dates', () => {
+        const scheduler = createScheduler();
+        addBlock(scheduler, 'Lecture', 10, 0, 11, 0, 'MONDAY');
+        const seminar = new FixedBlock('fb_Seminar', 'ALL_DAYS', 'Seminar', 10, 30, 12, 0);
+        assert.deepEqual(scheduler.getMergeableFixedBlocks(seminar), []);
+        assert.equal(scheduler.mergeFixedBlock(seminar), null);
+        assert.equal(scheduler.fixedBlocks.length, 1);
+    });
+
+    it('refuses a merge that would fill the whole day', () => {
+        const scheduler = createScheduler();
+        addBlock(scheduler, 'Sleep', 20, 0, 8, 0);
+        const day = new FixedBlock('fb_Day', 'ALL_DAYS', 'Day', 7, 0, 21, 0);
+        assert.equal(scheduler.mergeFixedBlock(day), null);
+        assert.equal(scheduler.fixedBlocks[0].describeTimes(), '20:00 - 08:00 (overnight)');
+    });
+});
+
+describe('shared free time', () => {
+    const describeSlots = slots => slots.map(slot => `${clock(slot.start)}-${clock(slot.end)}`);
+
+    it('leaves out everyone\'s fixed blocks', () => {
+        const me = createScheduler();
+        addBlock(me, 'Lecture', 9, 0, 11, 0);
+        const friend = createScheduler();
+        addBlock(friend, 'Shift', 12, 0, 17, 0);
+        addBlock(friend, 'Dinner', 19, 0, 20, 0, 'MONDAY');
+        assert.deepEqual(describeSlots(me.getCommonFreeSlots([friend], DAY)), ['08:00-09:00', '11:00-12:00', '17:00-19:00', '20:00-22:00']);
+        assert.deepEqual(describeSlots(me.getCommonFreeSlots([friend], DAY, 90)), ['17:00-19:00', '20:00-22:00']);
+    });
+
+    it('keeps to the working hours everyone shares, from now on', () => {
+        const me = createScheduler({ now: at(10) });
+        const friend = createScheduler({ settings: { dayEndHour: 18 } });
+        assert.deepEqual(describeSlots(me.getCommonFreeSlots([friend], DAY)), ['10:00-18:00']);
+
+        const away = createScheduler({ settings: { weekdayWindows: { MONDAY: { enabled: false } } } });
+        assert.deepEqual(me.getCommonFreeSlots([friend, away], DAY), []);
+    });
+});
+
+describe('pinned activities', () => {
+    it('counts only the rest of a pin that has started toward the task', () => {
+        let now = at(7);
+        const scheduler = new Scheduler({ storage: createMemoryStorage(), clock: { now: () => now } });
+        addTask(scheduler, 'Essay', 180);
+        const [chunk] = scheduler.generateDailySchedule(DAY);
+        scheduler.pinActivity(chunk, at(8), at(10));
+
+        now = at(9);
+        scheduler.logWork('task_Essay', 60);
+        const tasks = scheduler.generateDailySchedule(DAY).filter(activity => activity.type === 'TASK');
+        // 60 minutes logged, 60 still pinned, so 60 are planned after the pin
+        assert.deepEqual(describeActivities(tasks), ['TASK Essay 08:00-10:00', 'TASK Essay 10:00-11:00']);
+    });
+});
+
+describe('committed plans', () => {
+    it('keeps the part of the day that is over when the plan is committed again', () => {
+        let now = at(7);
+        const scheduler = new Scheduler({ storage: createMemoryStorage(), clock: { now: () => now } });
+        addTask(scheduler, 'Essay', 180);
+        scheduler.commitPlan(DAY);
+        assert.deepEqual(describeActivities(scheduler.getCommittedPlan(DAY)).slice(0, 2), [
+            'TASK Essay 08:00-10:00',
+            'BREAK Short Break 10:00-10:05'
+        ]);
+
+        now = at(10, 30);
+        const plan = scheduler.commitPlan(DAY);
+        assert.deepEqual(describeActivities(plan).slice(0, 2), [
+            'TASK Essay 08:00-10:00',
+            'BREAK Short Break 10:00-10:05'
+        ]);
+        assert.ok(plan.slice(2).every(activity => activity.startMillis >= at(10, 30)));
+        assert.equal(scheduler.getCommittedPlan(DAY), plan);
+    });
+});
+
+describe('deleting tasks', () => {
+    it('keeps the logged work of a deleted task', () => {
+        const scheduler = createScheduler({ now: at(15) });
+        addTask(scheduler, 'Essay', 90);
+        scheduler.logWork('task_Essay', 30);
+        scheduler.deleteTask('task_Essay');
+        assert.deepEqual(scheduler.tasks, []);
+        assert.equal(scheduler.workSessions.length, 1);
+        assert.equal(scheduler.workSessions[0].taskId, 'task_Essay');
+    });
+});
+
+describe('storage and clock adapters', () => {
+    it('saves to the storage adapter and loads back from it', () => {
+        const storage = createMemoryStorage();
+        const first = new Scheduler({ storage, clock: { now: () => at(7) } });
+        addTask(first, 'Essay', 90);
+        addBlock(first, 'Lecture', 9, 0, 10, 0);
+
+        const second = new Scheduler({ storage, clock: { now: () => at(7) } });
+        second.loadData();
+        assert.deepEqual(second.tasks.map(task => task.name), ['Essay']);
+        assert.ok(second.tasks[0].deadline instanceof Date);
+        assert.deepEqual(second.fixedBlocks.map(block => block.description), ['Lecture']);
+    });
+
+    it('takes the current time from the clock adapter', () => {
+        const scheduler = createScheduler({ now: at(15) });
+        addTask(scheduler, 'Essay', 90);
+        scheduler.logWork('task_Essay', 30);
+        const [session] = scheduler.getSessionsForTask('task_Essay');
+        assert.equal(session.endMillis, at(15));
+        assert.equal(session.startMillis, at(14, 30));
+        assert.equal(scheduler.tasks[0].remainingMinutes, 60);
+    });
+});
+
+describe('backup and restore', () => {
+    it('leaves everything unchanged when a replacing backup cannot be read', () => {
+        const scheduler = createScheduler({ now: at(15) });
+        addTask(scheduler, 'Essay', 90);
+        scheduler.logWork('task_Essay', 30);
+        const backup = JSON.parse(JSON.stringify(scheduler.exportData()));
+        backup.tasks = [];
+        backup.workSessions = 'not a list';
+        assert.throws(() => scheduler.importData(backup, 'replace'));
+        assert.deepEqual(scheduler.tasks.map(task => task.id), ['task_Essay']);
+        assert.equal(scheduler.tasks[0].remainingMinutes, 60);
+        assert.equal(scheduler.workSessions.length, 1);
+        assert.deepEqual(JSON.parse(scheduler.storage.getItem('tasks')).map(task => task.id), ['task_Essay']);
+    });
+
+    it('cleans IDs from a backup, keeping the links between items', () => {
+        const source = createScheduler({ now: at(15) });
+        const unsafeId = "task_x'); alert(1); //";
+        addTask(source, 'Essay', 90);
+        addTask(source, 'Draft', 60);
+        source.tasks[0].id = unsafeId;
+        source.tasks[1].prerequisiteIds = [unsafeId];
+        source.logWork(unsafeId, 30);
+        const backup = JSON.parse(JSON.stringify(source.exportData()));
+
+        const scheduler = createScheduler({ now: at(15) });
+        scheduler.importData(backup, 'replace');
+        const [essay, draft] = scheduler.tasks;
+        assert.match(essay.id, /^[A-Za-z0-9_.@-]+$/);
+        assert.deepEqual(draft.prerequisiteIds, [essay.id]);
+        assert.equal(scheduler.workSessions[0].taskId, essay.id);
+        assert.equal(essay.remainingMinutes, 60);
+    });
+});
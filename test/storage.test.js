@@ -0,0 +1,76 @@
+// Tests for stored data and profiles: run with `npm test`
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Scheduler, Task, createMemoryStorage } = require('../scheduler.js');
+const {
+    DEFAULT_PROFILE, getProfileKey, createProfileStorage, loadProfiles, loadActiveProfileId, saveActiveProfileId,
+    addProfile, renameProfile, deleteProfile
+} = require('../storage.js');
+
+const profileScheduler = (storage, profileId) => {
+    const scheduler = new Scheduler({ storage: createProfileStorage(storage, profileId) });
+    scheduler.loadData();
+    return scheduler;
+};
+
+describe('profiles', () => {
+    it('starts with only the default profile, which uses the original keys', () => {
+        const storage = createMemoryStorage({ tasks: JSON.stringify([new Task('task_old', 'Saved before profiles', '', 'LOW', new Date(2030, 0, 7), 30)]) });
+        assert.deepEqual(loadProfiles(storage), [DEFAULT_PROFILE]);
+        assert.equal(loadActiveProfileId(storage), DEFAULT_PROFILE.id);
+        assert.deepEqual(profileScheduler(storage, DEFAULT_PROFILE.id).tasks.map(task => task.name), ['Saved before profiles']);
+    });
+
+    it('keeps each profile\'s data apart', () => {
+        const storage = createMemoryStorage();
+        const alex = addProfile(storage, 'Alex');
+        const mine = profileScheduler(storage, DEFAULT_PROFILE.id);
+        mine.addTask(new Task('task_mine', 'Mine', '', 'LOW', new Date(2030, 0, 7), 30));
+        const theirs = profileScheduler(storage, alex.id);
+        theirs.addTask(new Task('task_theirs', 'Theirs', '', 'LOW', new Date(2030, 0, 7), 30));
+
+        assert.deepEqual(profileScheduler(storage, DEFAULT_PROFILE.id).tasks.map(task => task.name), ['Mine']);
+        assert.deepEqual(profileScheduler(storage, alex.id).tasks.map(task => task.name), ['Theirs']);
+        assert.ok(storage.getItem(getProfileKey(alex.id, 'tasks')).includes('Theirs'));
+    });
+
+    it('rejects empty and duplicate names', () => {
+        const storage = createMemoryStorage();
+        const alex = addProfile(storage, ' Alex ');
+        assert.equal(alex.name, 'Alex');
+        assert.equal(addProfile(storage, 'alex'), null);
+        assert.equal(addProfile(storage, '  '), null);
+        assert.equal(renameProfile(storage, alex.id, 'Default'), false);
+        assert.equal(renameProfile(storage, DEFAULT_PROFILE.id, 'Sam'), true);
+        assert.deepEqual(loadProfiles(storage).map(profile => profile.name), ['Sam', 'Alex']);
+    });
+
+    it('deletes a profile with its data, but never the default profile', () => {
+        const storage = createMemoryStorage();
+        const alex = addProfile(storage, 'Alex');
+        profileScheduler(storage, alex.id).addTask(new Task('task_theirs', 'Theirs', '', 'LOW', new Date(2030, 0, 7), 30));
+        saveActiveProfileId(storage, alex.id);
+        assert.equal(loadActiveProfileId(storage), alex.id);
+
+        assert.equal(deleteProfile(storage, DEFAULT_PROFILE.id), false);
+        assert.equal(deleteProfile(storage, alex.id), true);
+        assert.equal(storage.getItem(getProfileKey(alex.id, 'tasks')), null);
+        assert.deepEqual(loadProfiles(storage), [DEFAULT_PROFILE]);
+        assert.equal(loadActiveProfileId(storage), DEFAULT_PROFILE.id);
+    });
+});
+
+describe('migrations', () => {
+    it('records progress from before session tracking at the scheduler clock\'s time', () => {
+        const now = new Date(2030, 0, 7, 9, 0).getTime();
+        const storage = createMemoryStorage({
+            schemaVersion: '2',
+            tasks: JSON.stringify([{ ...new Task('task_old', 'Essay', '', 'LOW', new Date(2030, 0, 8), 90), remainingMinutes: 60 }])
+        });
+        const scheduler = new Scheduler({ storage, clock: { now: () => now } });
+        scheduler.loadData();
+        assert.deepEqual(scheduler.workSessions.map(session => [session.startMillis, session.endMillis]), [[now - 30 * 60 * 1000, now]]);
+        assert.equal(scheduler.tasks[0].remainingMinutes, 60);
+    });
+});